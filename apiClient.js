@@ -0,0 +1,349 @@
+/* ========================================================================
+ * apiClient.js
+ * Single place for backend calls (Scylla database + Chime meeting Lambdas)
+ * - Base URLs per environment, switchable at runtime (local fake server)
+ * - Auth headers, per-request timeout, retries for idempotent calls only
+ * - Never throws: every call resolves to a result
+ *     { ok: true, status, data }
+ *     { ok: false, status, data, error: { type, message, retryable } }
+ *   ApiClient.toError(result) turns a failed result into a throwable Error
+ * Config can be set before load via window.apiClientConfig = { ... }
+ * ======================================================================== */
+
+class ApiClient {
+  static ERROR_TYPES = {
+    TIMEOUT: "timeout",
+    NETWORK: "network",
+    HTTP: "http",
+    PARSE: "parse",
+    API: "api",
+  };
+
+  static _environments = {
+    production: {
+      scylla: "https://fns5h6php6v5qalzaoxmcq532y0dzrro.lambda-url.ap-northeast-1.on.aws/",
+      chime: "https://huugn2oais26si45yoqoui6byu0iqhtl.lambda-url.ap-northeast-1.on.aws/",
+    },
+  };
+
+  static _environment = "production";
+  static _baseUrlOverrides = {};
+  static _authHeaders = null; // object or () => object (token refresh)
+  static _timeoutMs = 15000;
+  static _maxRetries = 2;
+  static _retryDelayMs = 500;
+
+  /* ====================================================================
+   * configure(opts)
+   * { environment, environments, baseUrls: { scylla, chime }, authHeaders,
+   *   timeoutMs, maxRetries, retryDelayMs }
+   * ==================================================================== */
+  static configure(opts = {}) {
+    if (opts.environments) {
+      this._environments = { ...this._environments, ...opts.environments };
+    }
+    if (opts.environment) {
+      if (!this._environments[opts.environment]) {
+        console.warn(`[ApiClient] Unknown environment: ${opts.environment}`);
+      } else {
+        this._environment = opts.environment;
+      }
+    }
+    if (opts.baseUrls) this._baseUrlOverrides = { ...this._baseUrlOverrides, ...opts.baseUrls };
+    if (opts.authHeaders !== undefined) this._authHeaders = opts.authHeaders;
+    if (opts.timeoutMs !== undefined) this._timeoutMs = opts.timeoutMs;
+    if (opts.maxRetries !== undefined) this._maxRetries = opts.maxRetries;
+    if (opts.retryDelayMs !== undefined) this._retryDelayMs = opts.retryDelayMs;
+
+    console.log("[ApiClient] Configured", {
+      environment: this._environment,
+      scylla: this.baseUrl("scylla"),
+      chime: this.baseUrl("chime"),
+      timeoutMs: this._timeoutMs,
+      maxRetries: this._maxRetries,
+    });
+  }
+
+  static baseUrl(service) {
+    return this._baseUrlOverrides[service] || this._environments[this._environment]?.[service] || null;
+  }
+
+  /* ====================================================================
+   * request(service, path, opts)
+   * opts: { method, body, query, idempotent, timeoutMs, accept(data) }
+   * accept - returns false when a 2xx body is still a failure (api error)
+   * Retries only idempotent calls (GET by default) on timeout, network,
+   * 429 and 5xx - never a create that may have gone through
+   * ==================================================================== */
+  static async request(service, path = "", opts = {}) {
+    const method = opts.method || "GET";
+    const idempotent = opts.idempotent ?? method === "GET";
+    const maxRetries = idempotent ? this._maxRetries : 0;
+
+    const base = this.baseUrl(service);
+    if (!base) {
+      return this._failure(this.ERROR_TYPES.NETWORK, `No base URL for service "${service}"`, { retryable: false });
+    }
+
+    let url = base + path;
+    if (opts.query) {
+      const params = new URLSearchParams();
+      Object.entries(opts.query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) params.append(key, value);
+      });
+      url += (url.includes("?") ? "&" : "?") + params.toString();
+    }
+
+    let result = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this._retryDelayMs * 2 ** (attempt - 1);
+        console.warn(`[ApiClient] Retry ${attempt}/${maxRetries} for ${method} ${url} in ${delay}ms`, result.error);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+
+      result = await this._send(url, method, opts);
+      if (result.ok || !result.error.retryable) break;
+    }
+
+    if (result.ok && opts.accept && !opts.accept(result.data)) {
+      return this._failure(this.ERROR_TYPES.API, result.data?.error || "Unknown error", {
+        status: result.status,
+        data: result.data,
+        retryable: false,
+      });
+    }
+
+    if (!result.ok) {
+      console.error(`[ApiClient] ${method} ${url} failed`, result.error);
+    }
+    return result;
+  }
+
+  static async _send(url, method, opts) {
+    const timeoutMs = opts.timeoutMs ?? this._timeoutMs;
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json", ...this._resolveAuthHeaders() },
+        body: opts.body !== undefined ? JSON.stringify(opts.body) : undefined,
+        mode: "cors",
+        redirect: "follow",
+        signal: controller?.signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        return this._failure(this.ERROR_TYPES.TIMEOUT, `Request timed out after ${timeoutMs}ms`, { retryable: true });
+      }
+      return this._failure(this.ERROR_TYPES.NETWORK, error.message, { retryable: true });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    const bodyText = await response.text().catch(() => "");
+    let data = null;
+    try {
+      data = bodyText ? JSON.parse(bodyText) : null;
+    } catch (_) {
+      if (response.ok) {
+        return this._failure(this.ERROR_TYPES.PARSE, "Response is not valid JSON", {
+          status: response.status,
+          data: bodyText,
+          retryable: false,
+        });
+      }
+    }
+
+    if (!response.ok) {
+      return this._failure(
+        this.ERROR_TYPES.HTTP,
+        `${response.status} ${response.statusText}${data?.error ? " | " + data.error : bodyText ? " | " + bodyText : ""}`,
+        {
+          status: response.status,
+          data,
+          retryable: response.status === 429 || response.status >= 500,
+        }
+      );
+    }
+
+    return { ok: true, status: response.status, data };
+  }
+
+  static _resolveAuthHeaders() {
+    try {
+      const headers = typeof this._authHeaders === "function" ? this._authHeaders() : this._authHeaders;
+      return headers || {};
+    } catch (error) {
+      console.warn("[ApiClient] Auth header provider failed:", error);
+      return {};
+    }
+  }
+
+  static _failure(type, message, { status = null, data = null, retryable = false } = {}) {
+    return { ok: false, status, data, error: { type, message, retryable } };
+  }
+
+  /* ====================================================================
+   * toError(result, context) - Error with .type/.status for throw-style callers
+   * ==================================================================== */
+  static toError(result, context = "Request failed") {
+    const error = new Error(`${context}: ${result.error?.message || "Unknown error"}`);
+    error.type = result.error?.type || this.ERROR_TYPES.API;
+    error.status = result.status;
+    error.data = result.data;
+    return error;
+  }
+
+  /* ====================================================================
+   * Scylla database API
+   * ==================================================================== */
+  static createInstantMeeting(eventId, initiatorId) {
+    return this.request("scylla", "createInstantMeeting", {
+      method: "POST",
+      body: { eventId, initiatorId },
+      accept: (data) => !!(data?.success && data.data),
+    });
+  }
+
+  static createScheduledMeeting({ eventId, initiatorId, startTime = null, endTime = null, maxAttendees = null }) {
+    return this.request("scylla", "createScheduledMeeting", {
+      method: "POST",
+      body: { eventId, initiatorId, startTime, endTime, maxAttendees },
+      accept: (data) => !!(data?.success && data.data),
+    });
+  }
+
+  static getMeetingCapacity(meetingId) {
+    return this.request("scylla", "getMeetingCapacity", {
+      query: { meetingId },
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  static setMeetingMaxAttendees(meetingId, maxAttendees) {
+    return this.request("scylla", "setMeetingMaxAttendees", {
+      method: "POST",
+      body: { meetingId, maxAttendees },
+      idempotent: true,
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  /* ====================================================================
+   * Wallet (prepaid minutes + grace) - times are server epoch ms
+   * data: { paidUntil, graceEndsAt, serverTime, balance, ratePerMinute, currency }
+   * ==================================================================== */
+  static getWalletStatus(meetingId, fanId) {
+    return this.request("scylla", "getWalletStatus", {
+      query: { meetingId, fanId },
+      accept: (data) => !!(data?.success && data.data),
+    });
+  }
+
+  // Opens the grace window once prepaid minutes ran out - the server returns
+  // the existing window when it is already open, so both sides may call it
+  static startGrace(meetingId, fanId) {
+    return this.request("scylla", "startGrace", {
+      method: "POST",
+      body: { meetingId, fanId },
+      idempotent: true,
+      accept: (data) => !!(data?.success && data.data),
+    });
+  }
+
+  // Paid slot extension - the parent page's checkout reply is only a hint,
+  // the order record decides. data: { orderId, meetingId, itemId, minutes, fanId, status }
+  static getExtensionOrder(meetingId, orderId) {
+    return this.request("scylla", "getExtensionOrder", {
+      query: { meetingId, orderId },
+      accept: (data) => !!(data?.success && data.data),
+    });
+  }
+
+  // Per-minute metering checkpoint - cumulative and keyed by
+  // (meetingId, reporterId, seq), so a retried post can't double charge
+  static recordCallMeter(checkpoint) {
+    return this.request("scylla", "recordCallMeter", {
+      method: "POST",
+      body: checkpoint,
+      idempotent: true,
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  // Post-call survey - keyed by feedback id, so a resend after a lost
+  // response is stored once
+  static submitCallFeedback(feedback) {
+    return this.request("scylla", "submitCallFeedback", {
+      method: "POST",
+      body: feedback,
+      idempotent: true,
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  /* ====================================================================
+   * Chime meeting API
+   * ==================================================================== */
+  static createMeeting(externalMeetingId) {
+    return this.request("chime", "", {
+      method: "POST",
+      body: { action: "createMeeting", externalMeetingId },
+      accept: (data) => !!data?.meetingId,
+    });
+  }
+
+  static addAttendee(meetingId, externalUserId, role) {
+    return this.request("chime", "", {
+      method: "POST",
+      body: { action: "addAttendee", meetingId, externalUserId, role },
+      accept: (data) => !!(data?.meetingInfo || data?.attendeeId),
+    });
+  }
+
+  static deleteMeeting(meetingId) {
+    return this.request("chime", "", {
+      method: "POST",
+      body: { action: "deleteMeeting", meetingId },
+      idempotent: true,
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  // Removes the attendee from the Chime meeting - their session stops
+  // with AudioAttendeeRemoved. New chime action, none of the existing ones
+  // remove an attendee: the backend calls Chime DeleteAttendee with
+  // { meetingId, attendeeId } and answers { success: true }, also when the
+  // attendee is already gone, since the request is retried
+  static deleteAttendee(meetingId, attendeeId) {
+    return this.request("chime", "", {
+      method: "POST",
+      body: { action: "deleteAttendee", meetingId, attendeeId },
+      idempotent: true,
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  static getMeeting(meetingId) {
+    return this.request("chime", "getMeeting", {
+      query: { meetingId },
+      accept: (data) => !!data?.success,
+    });
+  }
+
+  static validateHost(meetingId, userId) {
+    return this.request("chime", "validateHost", {
+      query: { meetingId, userId },
+    });
+  }
+}
+
+if (window.apiClientConfig) {
+  ApiClient.configure(window.apiClientConfig);
+}
+
+window.ApiClient = ApiClient;
@@ -0,0 +1,277 @@
+/* ========================================================================
+ * callFeedback.js
+ * Post-call survey: star ratings (call / audio / video), issue tags, free text
+ * - Each Chime session is tracked from coreChime:connected to its end, with
+ *   the quality levels coreChime reported (coreChime:quality-changed)
+ * - When dipatchUI reaches "ended" the survey is offered (chime-ui::survey,
+ *   shown by the Ended component)
+ * - submit() bundles the answers with the quality stats and the DebugLogger
+ *   session id and queues them in localStorage; the queue is sent in order
+ *   and retried with backoff while offline / the backend fails, and again on
+ *   the next page load
+ * ======================================================================== */
+
+class CallFeedback {
+  static ISSUE_TAGS = [
+    { id: "echo", label: "Echo" },
+    { id: "choppy-audio", label: "Choppy audio" },
+    { id: "no-audio", label: "Couldn't hear" },
+    { id: "frozen-video", label: "Frozen video" },
+    { id: "blurry-video", label: "Blurry video" },
+    { id: "dropped-call", label: "Dropped call" },
+    { id: "lag", label: "Delay / lag" },
+  ];
+
+  static _storageKey = "callFeedback:queue:v1";
+  static _maxQueued = 50;
+  static _retryPolicy = { baseDelayMs: 5000, maxDelayMs: 300000 };
+
+  static _call = null; // Chime session in progress
+  static _lastCall = null; // finished session the survey is about
+  static _queue = null; // loaded lazily
+  static _flushing = false;
+  static _retryAttempts = 0;
+  static _retryTimer = null;
+  static _initialized = false;
+
+  /* ====================================================================
+   * init() - called from CallHandler.init()
+   * ==================================================================== */
+  static init() {
+    if (this._initialized) return;
+    this._initialized = true;
+
+    window.addEventListener("coreChime:connected", () => this._startCall());
+    window.addEventListener("coreChime:quality-changed", (e) => this._onQuality(e.detail || {}));
+    window.addEventListener("coreChime:disconnected", (e) => this._endCall(e.detail?.reason || "disconnected"));
+    document.addEventListener("chime-ui::state", (e) => {
+      if (e.detail?.state !== "ended") return;
+      this._endCall(e.detail.substate || e.detail.reason || "ended");
+      this._offerSurvey();
+    });
+    window.addEventListener("online", () => this.flush());
+    // A survey left unanswered goes away when the next call starts
+    CallStateMachine.onEnter("outgoing", () => this.skip());
+    CallStateMachine.onEnter("incoming", () => this.skip());
+
+    // Anything left over from an earlier page
+    this.flush();
+    console.log("[CallFeedback] Initialized", { queued: this._load().length });
+  }
+
+  static _startCall() {
+    const data = window.mockCallData || {};
+    const { side, callerId, calleeId } = CallStateMachine.snapshot();
+
+    this._call = {
+      callId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      meetingId: CallHandler._invite.meetingId || window.chimeHandler?._meetingMetadata?.MeetingId || null,
+      userId: data.currentUser?.userId ? String(data.currentUser.userId) : null,
+      peerId: side === "caller" ? calleeId : side === "callee" ? callerId : null,
+      role: data.currentUser?.isCreator ? "creator" : "fan",
+      side,
+      mediaType: data.mediaType || "video",
+      startedAt: Date.now(),
+      level: null,
+      levelSince: Date.now(),
+      levelMs: { good: 0, fair: 0, poor: 0 },
+      levelChanges: 0,
+      worstLevel: null,
+      lastStats: null,
+    };
+  }
+
+  static _onQuality(detail) {
+    const call = this._call;
+    if (!call || !detail.level) return;
+
+    this._closeLevel(call);
+    if (detail.level !== call.level) call.levelChanges += 1;
+    call.level = detail.level;
+
+    const order = ["good", "fair", "poor"];
+    if (order.indexOf(detail.level) > order.indexOf(call.worstLevel)) call.worstLevel = detail.level;
+
+    const { audio, video, network, updatedAt } = detail;
+    call.lastStats = { audio, video, network, updatedAt };
+  }
+
+  static _closeLevel(call) {
+    const now = Date.now();
+    if (call.level) call.levelMs[call.level] += now - call.levelSince;
+    call.levelSince = now;
+  }
+
+  // First end wins: "ended" UI is dispatched before the leave on deliberate ends,
+  // after the disconnect on dropped ones - either way the stats are read before reset
+  static _endCall(reason) {
+    const call = this._call;
+    if (!call) return;
+    this._call = null;
+
+    this._closeLevel(call);
+    const current = typeof coreChime !== "undefined" ? coreChime.getCurrentQuality() : null;
+    if (current?.level) {
+      const { audio, video, network, updatedAt } = current;
+      call.lastStats = { audio, video, network, updatedAt };
+    }
+
+    this._lastCall = { ...call, endedAt: Date.now(), reason, surveyed: false };
+  }
+
+  static _offerSurvey() {
+    const call = this._lastCall;
+    if (!call || call.surveyed) return;
+    call.surveyed = true;
+
+    document.dispatchEvent(
+      new CustomEvent("chime-ui::survey", {
+        detail: { callId: call.callId, mediaType: call.mediaType, issueTags: this.ISSUE_TAGS },
+      })
+    );
+  }
+
+  /* ====================================================================
+   * submit({ ratings: { call, audio, video }, issues, comment })
+   * ratings are 1-5 (0 / missing = not rated)
+   * ==================================================================== */
+  static submit({ ratings = {}, issues = [], comment = "" } = {}) {
+    const call = this._lastCall;
+    if (!call) {
+      console.warn("[CallFeedback] No finished call to rate");
+      return null;
+    }
+
+    const stars = (value) => {
+      const n = Math.round(Number(value));
+      return n >= 1 && n <= 5 ? n : null;
+    };
+    const knownTags = this.ISSUE_TAGS.map((tag) => tag.id);
+
+    const feedback = {
+      id: `${call.callId}-feedback`,
+      callId: call.callId,
+      meetingId: call.meetingId,
+      sessionId: DebugLogger.sessionId,
+      userId: call.userId,
+      peerId: call.peerId,
+      role: call.role,
+      side: call.side,
+      mediaType: call.mediaType,
+      reason: call.reason,
+      startedAt: new Date(call.startedAt).toISOString(),
+      endedAt: new Date(call.endedAt).toISOString(),
+      durationSeconds: Math.round((call.endedAt - call.startedAt) / 1000),
+      ratings: {
+        call: stars(ratings.call),
+        audio: stars(ratings.audio),
+        video: call.mediaType === "audio" ? null : stars(ratings.video),
+      },
+      issues: issues.filter((tag) => knownTags.includes(tag)),
+      comment: String(comment || "").trim().slice(0, 1000),
+      quality: {
+        worstLevel: call.worstLevel,
+        levelChanges: call.levelChanges,
+        secondsByLevel: {
+          good: Math.round(call.levelMs.good / 1000),
+          fair: Math.round(call.levelMs.fair / 1000),
+          poor: Math.round(call.levelMs.poor / 1000),
+        },
+        last: call.lastStats,
+      },
+      userAgent: navigator.userAgent,
+      submittedAt: new Date().toISOString(),
+    };
+
+    this._lastCall = null;
+    this._enqueue(feedback);
+    DebugLogger.addLog("terminated", "NOTICE", "CallFeedback.submit",
+      `Feedback queued: ${feedback.ratings.call || "-"}★${feedback.issues.length ? ` (${feedback.issues.join(", ")})` : ""}`, feedback);
+    return feedback;
+  }
+
+  static skip() {
+    this._lastCall = null;
+    document.dispatchEvent(new CustomEvent("chime-ui::survey", { detail: null }));
+  }
+
+  /* ====================================================================
+   * Queue
+   * ==================================================================== */
+  static _enqueue(feedback) {
+    const queue = this._load();
+    queue.push(feedback);
+    if (queue.length > this._maxQueued) queue.splice(0, queue.length - this._maxQueued);
+    this._save();
+    this.flush();
+  }
+
+  static async flush() {
+    if (this._flushing) return;
+    const queue = this._load();
+    if (queue.length === 0) return;
+    if (navigator.onLine === false) {
+      console.log(`[CallFeedback] Offline - ${queue.length} queued, waiting for the connection`);
+      return;
+    }
+
+    this._flushing = true;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    while (queue.length > 0) {
+      const feedback = queue[0];
+      const result = await ApiClient.submitCallFeedback(feedback);
+
+      if (!result.ok && result.error.retryable) {
+        this._flushing = false;
+        this._scheduleRetry(result.error);
+        return;
+      }
+      if (!result.ok) {
+        // Rejected by the backend - retrying won't change the answer
+        DebugLogger.addLog("terminated", "CRITICAL", "CallFeedback.flush",
+          `Feedback ${feedback.id} rejected: ${result.error.message}`);
+      } else {
+        console.log("[CallFeedback] Sent", feedback.id);
+      }
+      queue.shift();
+      this._save();
+    }
+
+    this._retryAttempts = 0;
+    this._flushing = false;
+  }
+
+  static _scheduleRetry(error) {
+    const delay = Math.min(
+      this._retryPolicy.baseDelayMs * Math.pow(2, this._retryAttempts),
+      this._retryPolicy.maxDelayMs
+    );
+    this._retryAttempts += 1;
+    console.warn(`[CallFeedback] Send failed (${error.message}) - retrying in ${delay}ms`);
+    this._retryTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  static _load() {
+    if (this._queue) return this._queue;
+    try {
+      const raw = window.localStorage?.getItem(this._storageKey);
+      this._queue = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      console.warn("[CallFeedback] Could not read the queue:", error);
+      this._queue = [];
+    }
+    return this._queue;
+  }
+
+  static _save() {
+    try {
+      window.localStorage?.setItem(this._storageKey, JSON.stringify(this._queue || []));
+    } catch (error) {
+      console.warn("[CallFeedback] Could not store the queue:", error);
+    }
+  }
+}
+
+window.CallFeedback = CallFeedback;
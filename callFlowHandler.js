@@ -11,6 +11,17 @@
  * - On incoming, the callee/target IDs/roles come from SOCKET body (not from inputs).
  * - 🚨 NEW: single UI bridge method `dipatchUI()` invoked at EVERY step to trigger Vue.
  * - 🚨 NEW: caller also runs its own 25s ring timer (symmetry with callee).
+ * - Call phase lives in CallStateMachine; every handler sends its event first and
+ *   stops when the transition is rejected (double accept, late socket events).
+ * - Socket traffic goes through CallHandler.sendSocketMessage / registerSocketListener,
+ *   which validate every payload against SCHEMA in both directions.
+ * - Finished calls (and busy / call-waiting misses) are recorded by CallHistory,
+ *   billable minutes by CallMeter.
+ * - Grace follows the fan's wallet: the server's paidUntil / graceEndsAt drive
+ *   it on both sides, grace:* socket messages only prompt a re-check.
+ * - The booked slot (mockCallData.slot, sent along with call:initiate) is
+ *   counted down by CallSlot, which ends the call when it is over.
+ * - "ended" offers the post-call survey (CallFeedback).
  * ==================================================================== */
 
 console.log("[CallHandler] [FIX v1.1] ✅ FIXED VERSION LOADED");
@@ -18,6 +29,11 @@ console.log("[CallHandler] [FIX v1.1] ✅ FIXED VERSION LOADED");
 class CallHandler {
   /* === GLOBAL CONFIGURATION === */
   static CALLEE_MANUAL_JOIN_ENABLED = true; // set to false to auto join and not wait for connect.
+  static CALL_WAITING_ENABLED = true; // set to false to auto-decline (busy) a second caller during a call.
+  static WALLET_GRACE_ENABLED = true; // set to false for unmetered calls (no wallet checks, no grace).
+  static GRACE_POLL_MS = 10000; // wallet re-check while in grace (catches top-ups made on another device)
+  static GRACE_END_SLACK_MS = 15000; // past the grace deadline with no wallet answer -> end anyway
+  static WALLET_RETRY_MS = { base: 2000, max: 60000 }; // failed wallet check outside grace -> retry with backoff
  
   /* === STATE TRACKING === */
   static _currentUIState = null;
@@ -79,7 +95,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     console.log(`[UI] → ${state} / ${substate}`, detail);
     
     // Auto-reset state tracking if call has ended
-    if (state.includes('terminated') || state.includes('rejected') || state.includes('declined') || state === 'ended') {
+    if (state.includes('terminated') || state.includes('rejected') || state.includes('declined') || state.includes('busy') || state === 'ended') {
       console.log('[UI] 🔄 Call ended - will reset state tracking for next call');
       // Reset on next tick to allow current state to be processed
       setTimeout(() => CallHandler.resetUIState(), 0);
@@ -104,6 +120,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     CALL_TIMEOUT: "call:timeout",
     CALL_CANCELLED: "call:cancelled",
     CALL_ENDED: "call:ended",
+    CALL_MISSED: "call:missed", // LOCAL-ONLY
     SELF_STOP_RING: "call:self:stopRinging",
     MEETING_READY: "meeting:ready",
     MEETING_CONNECT: "meeting:connect",
@@ -117,6 +134,10 @@ static dipatchUI(state, substate = "none", payload = {}) {
       callerId: { type: "string", required: true },
       calleeId: { type: "string", required: true },
       role: { type: "string", required: true },
+      mediaType: { type: "string", enum: ["audio", "video"] },
+      callerData: { type: "object" },
+      calleeData: { type: "object" },
+      slot: { type: "object" }, // { startTime, endTime } of the booking
     },
     accept: {
       to: { type: "string", required: true },
@@ -128,6 +149,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
       callerId: { type: "string", required: true },
       calleeId: { type: "string", required: true },
       reason: { type: "string", required: true },
+      message: { type: "string" }, // optional note from a busy callee
     },
     cancel: {
       to: { type: "string", required: true },
@@ -145,21 +167,177 @@ static dipatchUI(state, substate = "none", payload = {}) {
     },
     meetingReady: {
       to: { type: "string", required: true },
-      meetingId: { type: "string", required: true },
+      meetingId: { type: ["string", "number"], required: true },
       callerId: { type: "string", required: true },
       calleeId: { type: "string", required: true },
       callerRole: { type: "string", required: true },
       calleeRole: { type: "string", required: true },
+      chimeMeetingId: { type: "string" },
+      dbMeetingId: { type: ["string", "number"] },
     },
     meetingProblem: {
       to: { type: "string", required: true },
-      meetingId: { type: "string", required: true },
+      meetingId: { type: ["string", "number"], required: true },
       callerId: { type: "string", required: true },
       calleeId: { type: "string", required: true },
       message: { type: "string", required: true },
     },
+    meetingStatus: {
+      to: { type: "string", required: true },
+      status: { type: "string", required: true },
+      message: { type: "string", required: true },
+      meetingId: { type: ["string", "number"] },
+    },
+    grace: {
+      to: { type: "string" },
+      meetingId: { type: ["string", "number"], required: true },
+      broadcast: { type: "boolean" },
+      reason: { type: "string" },
+      message: { type: "string" },
+      paidUntil: { type: "number" }, // server epoch ms
+      graceEndsAt: { type: "number" }, // server epoch ms
+      serverTime: { type: "number" },
+    },
+  };
+
+  // Schema used for each socket flag (inbound and outbound)
+  static SCHEMA_BY_FLAG = {
+    "call:initiate": "initiate",
+    "call:incoming": "initiate",
+    "call:accepted": "accept",
+    "call:declined": "decline",
+    "call:cancelled": "cancel",
+    "call:timeout": "timeout",
+    "call:self:stopRinging": "selfStop",
+    "meeting:ready": "meetingReady",
+    "meeting:problem": "meetingProblem",
+    "meeting:status": "meetingStatus",
+    "grace:start": "grace",
+    "grace:resume": "grace",
+    "grace:end": "grace",
   };
 
+  /* ====================================================================
+   * SOCKET PAYLOAD VALIDATION
+   * Field spec: { type, required, enum }
+   * - type: "string" | "number" | "boolean" | "object" | "array", or a list
+   * - required: must be present (an empty string counts as missing)
+   * - optional fields are only checked when set (null = not set)
+   * ==================================================================== */
+  static _typeChecks = {
+    string: (value) => typeof value === "string",
+    number: (value) => typeof value === "number" && Number.isFinite(value),
+    boolean: (value) => typeof value === "boolean",
+    object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+  };
+
+  /**
+   * @param {Object} payload
+   * @param {Object} schema - one of CallHandler.SCHEMA
+   * @param {Object} [opts] - { ignore: [field names to skip] }
+   * @returns {string[]} problems found (empty when valid)
+   */
+  static validatePayload(payload, schema, { ignore = [] } = {}) {
+    if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+      return ["payload must be an object"];
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, spec]) => {
+      if (ignore.includes(field)) return;
+      const value = payload[field];
+
+      if (value === undefined || value === null || value === "") {
+        if (spec.required) errors.push(`${field} is required`);
+        return;
+      }
+
+      const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+      const unknown = types.filter((type) => !CallHandler._typeChecks[type]);
+      if (unknown.length > 0) {
+        errors.push(`${field} has unknown schema type ${unknown.join("|")}`);
+        return;
+      }
+      if (!types.some((type) => CallHandler._typeChecks[type](value))) {
+        const actual = Array.isArray(value) ? "array" : typeof value;
+        errors.push(`${field} must be ${types.join("|")} (got ${actual})`);
+        return;
+      }
+
+      if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${field} must be one of ${spec.enum.join(", ")} (got ${value})`);
+      }
+    });
+    return errors;
+  }
+
+  static _schemaForFlag(flag) {
+    const key = CallHandler.SCHEMA_BY_FLAG[flag];
+    return key ? CallHandler.SCHEMA[key] : null;
+  }
+
+  /* ====================================================================
+   * sendSocketMessage / registerSocketListener
+   * Same surface as SocketHandler, with the payload checked against the
+   * flag's schema first. Invalid messages are never sent / never reach
+   * the handler.
+   * ==================================================================== */
+  static sendSocketMessage({ flag, payload = {}, schema = null }) {
+    const resolved = schema || CallHandler._schemaForFlag(flag);
+    if (resolved) {
+      const errors = CallHandler.validatePayload(payload, resolved);
+      if (errors.length > 0) {
+        CallHandler._reportInvalidPayload("outbound", flag, payload, errors);
+        return false;
+      }
+    }
+
+    SocketHandler.sendSocketMessage({ flag, payload, schema });
+    return true;
+  }
+
+  static registerSocketListener({ flag, callback }) {
+    SocketHandler.registerSocketListener({
+      flag,
+      callback: (body) => {
+        const schema = CallHandler._schemaForFlag(flag);
+        if (schema) {
+          // "to" is routing only - the socket service may strip it before delivery
+          const errors = CallHandler.validatePayload(body, schema, { ignore: ["to"] });
+          if (errors.length > 0) {
+            CallHandler._reportInvalidPayload("inbound", flag, body, errors);
+            return;
+          }
+        }
+        callback(body);
+      },
+    });
+  }
+
+  // meeting:problem-shaped diagnostic, dispatched locally (never sent to the peer)
+  static _reportInvalidPayload(direction, flag, payload, errors) {
+    const body = typeof payload === "object" && payload !== null ? payload : {};
+    const message = `Invalid ${direction} ${flag} payload: ${errors.join("; ")}`;
+
+    console.error(`[CallHandler] ${message}`, payload);
+    DebugLogger.addLog("terminated", "CRITICAL", "validatePayload", message, { flag, direction, payload });
+
+    document.dispatchEvent(
+      new CustomEvent(CallHandler.FLAGS.MEETING_PROBLEM, {
+        detail: {
+          meetingId: body.meetingId || "unknown",
+          callerId: body.callerId,
+          calleeId: body.calleeId,
+          message,
+          flag,
+          direction,
+          errors,
+        },
+      })
+    );
+  }
+
   static _els = {
     callType: null,
     role: null,
@@ -177,15 +355,10 @@ static dipatchUI(state, substate = "none", payload = {}) {
   static _ringTimeoutMs = 25000;
   static _calleeRingTimerId = null; // runs on receiver (incoming)
   static _callerRingTimerId = null; // runs on sender (after initiate)
-  static _inCallOrConnecting = false; // NEW: true when answered:setup/connecting or connected
   static _pendingCalleeJoin = null; // Store pending callee join info for manual join
-  static _currentSide = null; // Track if we're the caller or callee for UI dispatches
-
-  // Lambda API endpoints
-  static _scyllaDatabaseEndpoint =
-    "https://fns5h6php6v5qalzaoxmcq532y0dzrro.lambda-url.ap-northeast-1.on.aws/";
-  static _chimeMeetingEndpoint =
-    "https://huugn2oais26si45yoqoui6byu0iqhtl.lambda-url.ap-northeast-1.on.aws/";
+  static _currentSide = null; // Mirror of CallStateMachine.side (read by chimeHandler)
+  static _waitingCall = null; // Second invite received during a connected call (call-waiting banner)
+  static _waitingCallTimerId = null;
 
   // Populated from call:incoming (SOCKET) — the source of truth for callee side
   static _invite = {
@@ -195,7 +368,13 @@ static dipatchUI(state, substate = "none", payload = {}) {
     callType: null,
     callerData: null, // { userId, username, displayName, avatar }
     calleeData: null, // { userId, username, displayName, avatar }
+    meetingId: null, // DB meeting id once meeting:ready was sent / received (wallet checks)
   };
+
+  // Wallet-driven grace - the server's clock decides, see "Grace Period" section
+  // metered: null until the first wallet answer says whether the call is billed
+  static _grace = { active: false, paidUntil: null, graceEndsAt: null, clockOffsetMs: 0, syncing: false, metered: null, retries: 0 };
+  static _graceTimers = { paid: null, tick: null, poll: null, retry: null };
   
   // Store current user and target user data for call
   static _currentUserData = null;
@@ -275,60 +454,86 @@ static dipatchUI(state, substate = "none", payload = {}) {
     );
 
     // SOCKET listeners (NO listener for CALL_RINGING — it is local-only)
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_INCOMING,
       callback: CallHandler.handleSocketIncomingCall,
     });
     // Backend sends "call:initiate" to receiver, not "call:incoming"
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_INITIATE,
       callback: CallHandler.handleSocketIncomingCall,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_ACCEPTED,
       callback: CallHandler.handleSocketAccepted,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_DECLINED,
       callback: CallHandler.handleSocketDeclined,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_TIMEOUT,
       callback: CallHandler.handleSocketTimeout,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.CALL_CANCELLED,
       callback: CallHandler.handleSocketCancelled,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.SELF_STOP_RING,
       callback: CallHandler.handleSocketSelfStopRinging,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.MEETING_READY,
       callback: CallHandler.handleSocketMeetingReady,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: CallHandler.FLAGS.MEETING_PROBLEM,
       callback: CallHandler.handleSocketMeetingProblem,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: "meeting:status",
       callback: CallHandler.handleSocketMeetingStatus,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: "grace:start",
       callback: CallHandler.handleSocketGraceStart,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: "grace:resume",
       callback: CallHandler.handleSocketGraceResume,
     });
-    SocketHandler.registerSocketListener({
+    CallHandler.registerSocketListener({
       flag: "grace:end",
       callback: CallHandler.handleSocketGraceEnd,
     });
 
+    // Chime drops are retried inside coreChime - show a substate, don't end the call
+    window.addEventListener("coreChime:reconnecting", CallHandler.handleChimeReconnecting);
+    window.addEventListener("coreChime:reconnected", CallHandler.handleChimeReconnected);
+    window.addEventListener("coreChime:connected", CallHandler.handleChimeConnected);
+    window.addEventListener("coreChime:disconnected", CallHandler.handleChimeDisconnected);
+
+    // Wallet top-up checkout runs in the parent page (same postMessage bridge as chat cards)
+    window.addEventListener("message", CallHandler.handleWalletMessage);
+
+    // Call state machine - ring timers stop when their phase is left
+    CallStateMachine.onExit("outgoing", () => CallHandler.clearCallerRingTimer());
+    CallStateMachine.onExit("incoming", () => CallHandler.clearCalleeRingTimer());
+    CallStateMachine.onEnter("ended", () => {
+      CallHandler._pendingCalleeJoin = null;
+      CallHandler._stopWalletWatch();
+    });
+    // Prepaid minutes are only counted once both sides are in the meeting
+    CallStateMachine.onEnter("connected", () => CallHandler._startWalletWatch());
+    CallStateMachine.onEnter("*", (transition, snapshot) => {
+      CallHandler._currentSide = snapshot.side;
+    });
+    CallHistory.init();
+    CallMeter.init();
+    CallSlot.init();
+    CallFeedback.init();
+
     // Wire up Join Meeting button for callee manual join
     const joinMeetingBtn = document.getElementById("link-join-meeting");
     if (joinMeetingBtn) {
@@ -446,6 +651,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    if (!CallStateMachine.send("dial", { callerId: callerIdVal, calleeId: calleeIdVal })) return;
+
     console.log(`[CallHandler] dispatch ${CallHandler.FLAGS.CALL_INITIATE}`);
     document.dispatchEvent(
       new CustomEvent(CallHandler.FLAGS.CALL_INITIATE, {
@@ -459,7 +666,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     );
 
     console.log("[CallHandler] sending socket CALL_INITIATE");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_INITIATE,
       payload: {
         to: calleeIdVal,
@@ -471,9 +678,6 @@ static dipatchUI(state, substate = "none", payload = {}) {
       schema: CallHandler.SCHEMA.initiate,
     });
 
-    // Set current side to caller
-    CallHandler._currentSide = "caller";
-    
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -494,10 +698,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
     // ⏲️ caller-side 25s timeout (symmetry with callee)
     CallHandler.clearCallerRingTimer();
     CallHandler._callerRingTimerId = setTimeout(() => {
+      if (!CallStateMachine.send("timeout", { reason: "no-answer" })) return;
       console.log(
         "[CallHandler] CALLER ring timeout → notify callee + end locally"
       );
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.CALL_TIMEOUT,
         payload: {
           to: calleeIdVal,
@@ -507,7 +712,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
         schema: CallHandler.SCHEMA.timeout,
       });
       // stop own ringing
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.SELF_STOP_RING,
         payload: { to: callerIdVal, calleeId: callerIdVal },
         schema: CallHandler.SCHEMA.selfStop,
@@ -629,6 +834,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
     if (!CallHandler.validateUserData(CallHandler._currentUserData, "Current user data")) return;
     if (!CallHandler.validateUserData(CallHandler._targetUserData, "Target user data")) return;
 
+    if (!CallStateMachine.send("dial", { callerId: callerIdVal, calleeId: calleeIdVal })) return;
+
     console.log(`[CallHandler] dispatch ${CallHandler.FLAGS.CALL_INITIATE}`);
     document.dispatchEvent(
       new CustomEvent(CallHandler.FLAGS.CALL_INITIATE, {
@@ -642,7 +849,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     );
 
     console.log("[CallHandler] sending socket CALL_INITIATE");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_INITIATE,
       payload: {
         to: calleeIdVal,
@@ -653,13 +860,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
         mediaType: mediaType,
         callerData: CallHandler._currentUserData,
         calleeData: CallHandler._targetUserData,
+        slot: CallSlot.toPayload(),
       },
       schema: CallHandler.SCHEMA.initiate,
     });
 
-    // Set current side to caller
-    CallHandler._currentSide = "caller";
-    
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -687,10 +892,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
     // ⏲️ caller-side 25s timeout (symmetry with callee)
     CallHandler.clearCallerRingTimer();
     CallHandler._callerRingTimerId = setTimeout(() => {
+      if (!CallStateMachine.send("timeout", { reason: "no-answer" })) return;
       console.log(
         "[CallHandler] CALLER ring timeout → notify callee + end locally"
       );
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.CALL_TIMEOUT,
         payload: {
           to: calleeIdVal,
@@ -700,7 +906,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
         schema: CallHandler.SCHEMA.timeout,
       });
       // stop own ringing
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.SELF_STOP_RING,
         payload: { to: callerIdVal, calleeId: callerIdVal },
         schema: CallHandler.SCHEMA.selfStop,
@@ -840,12 +1046,9 @@ static dipatchUI(state, substate = "none", payload = {}) {
     if (!CallHandler.validateUserData(currentUserData, "Current user (callee) data")) return;
     if (!CallHandler.validateUserData(targetUserData, "Target user (caller) data")) return;
 
-    // Clear callee's ring timer since we're accepting
-    CallHandler.clearCalleeRingTimer();
+    // Only once per incoming call; leaving "incoming" clears the callee ring timer
+    if (!CallStateMachine.send("accept")) return;
 
-    // Set current side to callee
-    CallHandler._currentSide = "callee";
-    
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -860,17 +1063,16 @@ static dipatchUI(state, substate = "none", payload = {}) {
       calleeId: calleeIdVal,
       role: calleeRole,
     });
-    CallHandler._inCallOrConnecting = true;
 
     console.log("[CallHandler] SELF_STOP_RING to callee (all devices)");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.SELF_STOP_RING,
       payload: { to: calleeIdVal, calleeId: calleeIdVal },
       schema: CallHandler.SCHEMA.selfStop,
     });
 
     console.log("[CallHandler] CALL_ACCEPTED to caller");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_ACCEPTED,
       payload: {
         to: callerIdVal,
@@ -1073,7 +1275,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     console.log("[CallHandler] meeting ops begin");
     
     // Notify caller: Starting DB creation
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: "meeting:status",
       payload: {
         to: callerIdVal,
@@ -1093,7 +1295,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
         );
         
         // Notify caller: DB created, creating Chime
-        SocketHandler.sendSocketMessage({
+        CallHandler.sendSocketMessage({
           flag: "meeting:status",
           payload: {
             to: callerIdVal,
@@ -1137,7 +1339,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
           `Sending to caller: DB ID = ${meetingId}, Chime ID = ${chimeId}`
         );
 
-        SocketHandler.sendSocketMessage({
+        // Caller may have hung up while the meeting was being created
+        if (!CallStateMachine.send("meetingReady")) return;
+        CallHandler._invite.meetingId = meetingId;
+
+        CallHandler.sendSocketMessage({
           flag: CallHandler.FLAGS.MEETING_READY,
           payload: {
             to: CallHandler._invite.callerId || callerIdVal,
@@ -1206,7 +1412,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
       })
       .catch((err) => {
         console.error("[CallHandler] callee meeting flow error", err);
-        CallHandler._inCallOrConnecting = false; // Reset so user can try again
+        // Call already ended (caller hung up) - nothing left to report
+        if (!CallStateMachine.send("fail", { reason: err && err.message ? err.message : "Unknown error" })) return;
         CallHandler.dipatchUI("callee:terminated", "error", {
           message: err && err.message ? err.message : "Unknown error",
         });
@@ -1216,7 +1423,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
           "handleAcceptClick",
           `Meeting Error: ${err && err.message ? err.message : "Unknown error"}`
         );
-        SocketHandler.sendSocketMessage({
+        CallHandler.sendSocketMessage({
           flag: CallHandler.FLAGS.MEETING_PROBLEM,
           payload: {
             to: callerIdVal,
@@ -1329,15 +1536,17 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    if (!CallStateMachine.send("decline", { reason: reasonVal })) return;
+
     console.log("[CallHandler] SELF_STOP_RING to callee");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.SELF_STOP_RING,
       payload: { to: calleeIdVal, calleeId: calleeIdVal },
       schema: CallHandler.SCHEMA.selfStop,
     });
 
     console.log("[CallHandler] CALL_DECLINED to caller");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_DECLINED,
       payload: {
         to: callerIdVal,
@@ -1445,8 +1654,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    // Leaving "outgoing" clears the caller ring timer
+    if (!CallStateMachine.send("cancel")) return;
+
     console.log("[CallHandler] CALL_CANCELLED to callee");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_CANCELLED,
       payload: {
         to: calleeIdVal,
@@ -1530,6 +1742,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    if (!CallStateMachine.send("dial", { callerId, calleeId })) return;
+
     console.log("[CallHandler] dispatch call:initiate");
     document.dispatchEvent(
       new CustomEvent(CallHandler.FLAGS.CALL_INITIATE, {
@@ -1538,15 +1752,12 @@ static dipatchUI(state, substate = "none", payload = {}) {
     );
 
     console.log("[CallHandler] socket CALL_INITIATE");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_INITIATE,
       payload: { to: calleeId, callType, callerId, calleeId, role: callerRole },
       schema: CallHandler.SCHEMA.initiate,
     });
 
-    // Set current side to caller
-    CallHandler._currentSide = "caller";
-    
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -1564,15 +1775,16 @@ static dipatchUI(state, substate = "none", payload = {}) {
     // ⏲️ caller-side 25s timeout
     CallHandler.clearCallerRingTimer();
     CallHandler._callerRingTimerId = setTimeout(() => {
+      if (!CallStateMachine.send("timeout", { reason: "no-answer" })) return;
       console.log(
         "[CallHandler] CALLER ring timeout (app) → notify callee + end locally"
       );
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.CALL_TIMEOUT,
         payload: { to: calleeId, callerId, calleeId },
         schema: CallHandler.SCHEMA.timeout,
       });
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.SELF_STOP_RING,
         payload: { to: callerId, calleeId: callerId },
         schema: CallHandler.SCHEMA.selfStop,
@@ -1662,9 +1874,9 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
-    // Set current side to callee
-    CallHandler._currentSide = "callee";
-    
+    // Only once per incoming call; leaving "incoming" clears the callee ring timer
+    if (!CallStateMachine.send("accept")) return;
+
     // 🔔 UI (callee) → accepted call
     CallHandler.dipatchUI("callee:callAccepted", "none", {
       callerId,
@@ -1673,14 +1885,14 @@ static dipatchUI(state, substate = "none", payload = {}) {
     });
 
     console.log("[CallHandler] SELF_STOP_RING to callee");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.SELF_STOP_RING,
       payload: { to: calleeId, calleeId },
       schema: CallHandler.SCHEMA.selfStop,
     });
 
     console.log("[CallHandler] CALL_ACCEPTED to caller");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_ACCEPTED,
       payload: { to: callerId, callerId, calleeId },
       schema: CallHandler.SCHEMA.accept,
@@ -1704,7 +1916,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
     console.log("[CallHandler] meeting ops begin");
     
     // Notify caller: Starting DB creation
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: "meeting:status",
       payload: {
         to: callerId,
@@ -1724,7 +1936,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
         );
         
         // Notify caller: DB created, creating Chime
-        SocketHandler.sendSocketMessage({
+        CallHandler.sendSocketMessage({
           flag: "meeting:status",
           payload: {
             to: callerId,
@@ -1768,7 +1980,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
           `Sending to caller: DB ID = ${meetingId}, Chime ID = ${chimeId}`
         );
 
-        SocketHandler.sendSocketMessage({
+        // Caller may have hung up while the meeting was being created
+        if (!CallStateMachine.send("meetingReady")) return;
+        CallHandler._invite.meetingId = meetingId;
+
+        CallHandler.sendSocketMessage({
           flag: CallHandler.FLAGS.MEETING_READY,
           payload: {
             to: callerId,
@@ -1837,7 +2053,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
       })
       .catch((err) => {
         console.error("[CallHandler] callee meeting flow error", err);
-        CallHandler._inCallOrConnecting = false; // Reset so user can try again
+        // Call already ended (caller hung up) - nothing left to report
+        if (!CallStateMachine.send("fail", { reason: err && err.message ? err.message : "Unknown error" })) return;
         CallHandler.dipatchUI("callee:terminated", "error", {
           message: err && err.message ? err.message : "Unknown error",
         });
@@ -1847,7 +2064,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
           "handleAppAcceptCall",
           `Meeting Error: ${err && err.message ? err.message : "Unknown error"}`
         );
-        SocketHandler.sendSocketMessage({
+        CallHandler.sendSocketMessage({
           flag: CallHandler.FLAGS.MEETING_PROBLEM,
           payload: {
             to: callerId,
@@ -1921,15 +2138,17 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    if (!CallStateMachine.send("decline", { reason })) return;
+
     console.log("[CallHandler] SELF_STOP_RING to callee");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.SELF_STOP_RING,
       payload: { to: calleeId, calleeId },
       schema: CallHandler.SCHEMA.selfStop,
     });
 
     console.log("[CallHandler] CALL_DECLINED to caller");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_DECLINED,
       payload: { to: callerId, callerId, calleeId, reason },
       schema: CallHandler.SCHEMA.decline,
@@ -2006,8 +2225,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    // Leaving "outgoing" clears the caller ring timer
+    if (!CallStateMachine.send("cancel")) return;
+
     console.log("[CallHandler] CALL_CANCELLED to callee");
-    SocketHandler.sendSocketMessage({
+    CallHandler.sendSocketMessage({
       flag: CallHandler.FLAGS.CALL_CANCELLED,
       payload: { to: calleeId, callerId, calleeId },
       schema: CallHandler.SCHEMA.cancel,
@@ -2037,6 +2259,12 @@ static dipatchUI(state, substate = "none", payload = {}) {
   /* ===========================
    * SOCKET EVENT HANDLERS
    * ========================= */
+
+  // Invites carry the CALLER's role; one-on-one, the callee takes the other one
+  static _calleeRoleFor(callerRole) {
+    return callerRole === "host" ? "attendee" : "host";
+  }
+
   static handleSocketIncomingCall(body) {
     DebugLogger.addLog("receiving call", "NOTICE", "handleSocketIncomingCall", "Incoming call from socket", body);
     console.log("[CallHandler] SOCKET call:incoming", body);
@@ -2061,17 +2289,30 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
-    // === Busy guard: if already in setup/connecting/connected, alert + auto-decline ===
-    if (CallHandler._inCallOrConnecting === true) {
+    // The same invite arrives on both call:incoming and call:initiate - ring once
+    const callState = CallStateMachine.snapshot();
+    if (callState.phase === "incoming" && callState.callerId === body.callerId) {
+      console.log("[CallHandler] Duplicate invite for the ringing call - ignored");
+      return;
+    }
+    if (CallHandler._isWaitingCaller(body)) {
+      console.log("[CallHandler] Duplicate invite for the waiting call - ignored");
+      return;
+    }
+
+    // === Busy guard: any call in progress → call-waiting banner (connected) or auto-decline ===
+    if (!CallStateMachine.send("ring", { callerId: body.callerId, calleeId: body.calleeId })) {
+      if (CallHandler._offerCallWaiting(body, callState)) return;
+
       DebugLogger.addLog(
         "receiving call",
         "NOTICE",
         "handleSocketIncomingCall",
-        "Incoming call while in-call/connecting — auto-declining (kept current call)."
+        `Incoming call while ${callState.phase} — auto-declining (kept current call).`
       );
 
       // Auto-decline new incoming without affecting current call
-      SocketHandler.sendSocketMessage({
+      CallHandler.sendSocketMessage({
         flag: CallHandler.FLAGS.CALL_DECLINED,
         payload: {
           to: body.callerId,
@@ -2085,6 +2326,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
       // Don't dispatch UI change - just decline the new call silently
       // (keep current call active, don't show terminated state)
       console.log("[CallHandler] Auto-declined new incoming call (user already in a call)");
+      CallHandler._logMissedCall(body, "busy");
       return; // do not start a new ring timer or incoming UI
     }
 
@@ -2102,8 +2344,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
       window.mockCallData.mediaType = body.mediaType || "video";
       
       // For callee: body.role is the CALLER's role, we need the CALLEE's role
-      // In one-on-one: if caller is host, callee is attendee (and vice versa)
-      const calleeRole = body.role === 'host' ? 'attendee' : 'host';
+      const calleeRole = CallHandler._calleeRoleFor(body.role);
       window.mockCallData.currentUserRole = calleeRole;
       window.mockCallData.currentUserSide = "callee";
       
@@ -2113,14 +2354,13 @@ static dipatchUI(state, substate = "none", payload = {}) {
       
       console.log(`[CallHandler] [Callee] mockCallData populated - Caller role: ${body.role}, Callee role: ${calleeRole}`, window.mockCallData);
     }
+    // Count down against the caller's booking
+    CallSlot.setSlot(body.slot || window.mockCallData?.slot);
     
     // Initialize CamMic permissions system for callee
     console.log('[CallHandler] [Callee] Initializing CamMic permissions system');
     window.dispatchEvent(new CustomEvent('CamMic:Init'));
     
-    // Set current side to callee
-    CallHandler._currentSide = "callee";
-    
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -2198,12 +2438,10 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
-    // Clear caller's ring timer since call is accepted
-    CallHandler.clearCallerRingTimer();
-    
-    // Set current side to caller
-    CallHandler._currentSide = "caller";
-    
+    // Late or duplicate accepts (cancelled / timed out / second device) stop here;
+    // leaving "outgoing" clears the caller ring timer
+    if (!CallStateMachine.send("accepted")) return;
+
     // Reset chimeHandler alerts for new call
     if (typeof chimeHandler !== 'undefined') {
       chimeHandler._hasShownJoinedAlert = false;
@@ -2217,7 +2455,6 @@ static dipatchUI(state, substate = "none", payload = {}) {
       calleeId: body.calleeId,
       side: "caller",
     });
-    CallHandler._inCallOrConnecting = true; // NEW
     DebugLogger.addLog(
       "accepted call",
       "NOTICE",
@@ -2252,8 +2489,8 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
     
-    // Clear caller timer
-    CallHandler.clearCallerRingTimer();
+    // Leaving "outgoing" clears the caller ring timer
+    if (!CallStateMachine.send("declined", { reason: body.reason })) return;
     
     DebugLogger.addLog(
       "declined",
@@ -2271,7 +2508,16 @@ static dipatchUI(state, substate = "none", payload = {}) {
         },
       })
     );
-    // 🔔 UI (caller) → declined
+    // 🔔 UI (caller) → busy (callee is on another call) or declined
+    if (body.reason === "in_another_call") {
+      CallHandler.dipatchUI("caller:busy", "none", {
+        callerId: body.callerId,
+        calleeId: body.calleeId,
+        reason: body.reason,
+        message: body.message,
+      });
+      return;
+    }
     CallHandler.dipatchUI("caller:declined", "none", {
       callerId: body.callerId,
       calleeId: body.calleeId,
@@ -2282,9 +2528,12 @@ static dipatchUI(state, substate = "none", payload = {}) {
   static handleSocketTimeout(body) {
     DebugLogger.addLog("terminated", "NOTICE", "handleSocketTimeout", "Call timed out", body);
     console.log("[CallHandler] SOCKET call:timeout", body);
-    CallHandler.clearCallerRingTimer();
-    CallHandler.clearCalleeRingTimer();
-    CallHandler._inCallOrConnecting = false; // NEW
+    if (CallHandler._isWaitingCaller(body)) {
+      CallHandler._endWaitingCall("no-answer");
+      return;
+    }
+    // Only a ringing call can time out; leaving the ring phase clears its timer
+    if (!CallStateMachine.send("timeout", { reason: "no-answer" })) return;
 
     DebugLogger.addLog(
       "terminated",
@@ -2312,8 +2561,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
   static handleSocketCancelled(body) {
     DebugLogger.addLog("terminated", "NOTICE", "handleSocketCancelled", "Call cancelled by remote", body);
     console.log("[CallHandler] SOCKET call:cancelled", body);
-    CallHandler.clearCallerRingTimer();
-    CallHandler.clearCalleeRingTimer();
+    if (CallHandler._isWaitingCaller(body)) {
+      CallHandler._endWaitingCall("cancelled");
+      return;
+    }
+    if (!CallStateMachine.send("cancelled")) return;
     DebugLogger.addLog(
       "terminated",
       "NOTICE",
@@ -2343,6 +2595,11 @@ static dipatchUI(state, substate = "none", payload = {}) {
     CallHandler.clearCallerRingTimer();
     CallHandler.clearCalleeRingTimer();
     console.log("[CallHandler] ring timers cleared due to self-stop");
+
+    // Answered or declined on another device - this one stops ringing too
+    if (CallStateMachine.can("stop")) {
+      CallStateMachine.send("stop", { reason: "answered-elsewhere" });
+    }
   }
 
   static handleSocketMeetingReady(body) {
@@ -2373,6 +2630,10 @@ static dipatchUI(state, substate = "none", payload = {}) {
       return;
     }
 
+    // Ignore meeting:ready for a call we already cancelled / timed out
+    if (!CallStateMachine.send("meetingReady")) return;
+    CallHandler._invite.meetingId = body.dbMeetingId || body.meetingId;
+
     // Construct a join link (placeholder) and dispatch to UI before joining
     const joinUrl = `https://example.com/join/${encodeURIComponent(
       body.meetingId
@@ -2603,6 +2864,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
       })
       .catch((err) => {
         console.error("[CallHandler] caller join failed", err);
+        if (!CallStateMachine.send("fail", { reason: "caller join failed" })) return;
         CallHandler.dipatchUI("caller:terminated", "error", {
           message: "caller join failed",
           meetingId: body.meetingId,
@@ -2630,7 +2892,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
   static handleSocketMeetingProblem(body) {
     DebugLogger.addLog("terminated", "CRITICAL", "handleSocketMeetingProblem", "Meeting problem from remote", body);
     console.log("[CallHandler] SOCKET meeting:problem", body);
-    CallHandler._inCallOrConnecting = false; // Reset so user can try again
+    if (!CallStateMachine.send("fail", { reason: body && body.message ? body.message : "meeting problem" })) return;
     CallHandler.dipatchUI("caller:terminated", "error", {
       message: body && body.message ? body.message : "meeting problem",
     });
@@ -2674,42 +2936,19 @@ static dipatchUI(state, substate = "none", payload = {}) {
         eventId,
         initiatorId: userId,
       });
-      const response = await fetch(
-        `${CallHandler._scyllaDatabaseEndpoint}createInstantMeeting`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            eventId,
-            initiatorId: userId,
-          }),
-          mode: "cors",
-          redirect: "follow",
-        }
-      );
-      if (!response.ok) {
-        const bodyText = await response.text().catch(() => "");
-        throw new Error(
-          `CreateInstantMeeting failed: ${response.status} ${response.statusText}${
-            bodyText ? " | " + bodyText : ""
-          }`
-        );
-      }
-      const data = await response.json();
-      if (data.success && data.data) {
-        console.log("[CallHandler] Scylla meeting created successfully", data);
-        DebugLogger.addLog(
-          "setuping up",
-          "NOTICE",
-          "getMeetingID",
-          `✅ DB meeting created: ${data.data}`
-        );
-        return data.data;
-      } else {
-        throw new Error(
-          `Failed to create Scylla meeting: ${data.error || "Unknown error"}`
-        );
+      const result = await ApiClient.createInstantMeeting(eventId, userId);
+      if (!result.ok) {
+        throw ApiClient.toError(result, "Failed to create Scylla meeting");
       }
+      const data = result.data;
+      console.log("[CallHandler] Scylla meeting created successfully", data);
+      DebugLogger.addLog(
+        "setuping up",
+        "NOTICE",
+        "getMeetingID",
+        `✅ DB meeting created: ${data.data}`
+      );
+      return data.data;
     } catch (error) {
       console.error("[CallHandler] Error creating Scylla meeting:", error);
       DebugLogger.addLog(
@@ -2733,17 +2972,12 @@ static dipatchUI(state, substate = "none", payload = {}) {
       console.log("[CallHandler] Creating Chime meeting", {
         externalMeetingId: meetingId,
       });
-      const response = await fetch(CallHandler._chimeMeetingEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          action: "createMeeting",
-          externalMeetingId: meetingId,
-        }),
-        mode: "cors",
-      });
-      const data = await response.json();
-      if (data.meetingId && data.meeting) {
+      const result = await ApiClient.createMeeting(meetingId);
+      if (!result.ok) {
+        throw ApiClient.toError(result, "Failed to create Chime meeting");
+      }
+      const data = result.data;
+      if (data.meeting) {
         console.log("[CallHandler] Chime meeting created successfully", data);
         console.log("[CallHandler] Full Meeting object:", data.meeting);
         DebugLogger.addLog(
@@ -2795,23 +3029,12 @@ static dipatchUI(state, substate = "none", payload = {}) {
         role,
       });
       
-      const response = await fetch(CallHandler._chimeMeetingEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          action: "addAttendee",
-          meetingId: chimeMeetingId,
-          externalUserId: userId,
-          role: role,
-        }),
-        mode: "cors",
-      });
-      
-      if (!response.ok) {
-        throw new Error(`addAttendee failed: ${response.status} ${response.statusText}`);
+      const result = await ApiClient.addAttendee(chimeMeetingId, userId, role);
+      if (!result.ok) {
+        throw ApiClient.toError(result, "addAttendee failed");
       }
       
-      const data = await response.json();
+      const data = result.data;
       console.log("[CallHandler] 🔍 RAW addAttendee response:", JSON.stringify(data, null, 2));
       
       if (!data.success || !data.attendeeId) {
@@ -2999,7 +3222,7 @@ static dipatchUI(state, substate = "none", payload = {}) {
       );
     }).catch((err) => {
       console.error("[CallHandler] Manual callee join error", err);
-      CallHandler._inCallOrConnecting = false;
+      if (!CallStateMachine.send("fail", { reason: err && err.message ? err.message : "Unknown error" })) return;
       CallHandler.dipatchUI("callee:terminated", "error", {
         message: err && err.message ? err.message : "Unknown error",
       });
@@ -3069,201 +3292,522 @@ static dipatchUI(state, substate = "none", payload = {}) {
   }
 
   /* ====================================================================
-   * Grace Period Handlers
+   * Chime Reconnect Handlers
+   * Keep the current in-call state and flip the substate while coreChime
+   * retries; coreChime:disconnected still fires if every attempt fails
    * ==================================================================== */
-  
-  static handleGracePeriodStart() {
-    if (!window.mockCallData) {
-      console.error('[CallHandler] mockCallData not initialized');
-      return;
+  static _stateBeforeReconnect = null;
+
+  static handleChimeReconnecting(e) {
+    const { attempt, maxAttempts, reason } = (e && e.detail) || {};
+
+    if (!CallHandler._stateBeforeReconnect) {
+      CallHandler._stateBeforeReconnect = {
+        state: CallHandler._currentUIState,
+        substate: CallHandler._currentUISubstate || "none",
+      };
     }
-    
-    window.mockCallData.isInGrace = true;
-    
-    DebugLogger.addLog("connected", "NOTICE", "handleGracePeriodStart", 
-      "Grace period started - disabling audio/video for ALL USERS in one-on-one call");
-    
-    alert("⏳ Grace period started! Video and audio disabled for ALL USERS, chat remains available.");
-    
-    // Broadcast grace period start to ALL participants via socket (CRITICAL: One-on-one = both users affected)
-    const meetingId = window.mockCallData.callType || 'current-meeting';
-    SocketHandler.sendSocketMessage({
-      flag: 'grace:start',
-      payload: {
-        meetingId: meetingId,
-        broadcast: true,
-        message: 'Grace period started - all participants media disabled'
-      }
+
+    DebugLogger.addLog("connecting", "NOTICE", "handleChimeReconnecting",
+      `Reconnecting (${attempt || "sdk"}/${maxAttempts || "-"})`, { reason });
+
+    const state = CallHandler._stateBeforeReconnect.state || "shared:inCall";
+    CallHandler.dipatchUI(state, "reconnecting", { attempt, maxAttempts, reason });
+  }
+
+  static handleChimeReconnected(e) {
+    const { attempts } = (e && e.detail) || {};
+    const previous = CallHandler._stateBeforeReconnect;
+    CallHandler._stateBeforeReconnect = null;
+
+    DebugLogger.addLog("connected", "NOTICE", "handleChimeReconnected",
+      `Reconnected after ${attempts} attempt(s)`);
+
+    const state = (previous && previous.state) || CallHandler._currentUIState || "shared:inCall";
+    const substate = previous && previous.substate !== "reconnecting" ? previous.substate : "none";
+    CallHandler.dipatchUI(state, substate, {});
+  }
+
+  /* ====================================================================
+   * Call Waiting
+   * A second caller during a connected call gets a non-blocking banner
+   * instead of a silent busy decline. The banner UI listens for
+   * chime-ui::callWaiting ({ visible, callerId, callerName, ... })
+   * ==================================================================== */
+  static _offerCallWaiting(body, callState) {
+    if (!CallHandler.CALL_WAITING_ENABLED) return false;
+    if (callState.phase !== "connected") return false; // only during an active call
+    if (CallHandler._waitingCall) return false; // one waiting call at a time
+
+    CallHandler._waitingCall = { ...body };
+    CallHandler._dispatchCallWaiting(body);
+
+    const callerName = body.callerData?.displayName || body.callerData?.username || body.callerId;
+    DebugLogger.addLog(
+      "receiving call",
+      "NOTICE",
+      "handleSocketIncomingCall",
+      `📞 Call waiting: ${callerName} is calling (${body.mediaType || "video"})`,
+      body
+    );
+
+    // Same ring window as a normal incoming call, then it counts as missed
+    CallHandler._waitingCallTimerId = setTimeout(
+      () => CallHandler._endWaitingCall("no-answer"),
+      CallHandler._ringTimeoutMs
+    );
+    return true;
+  }
+
+  static _isWaitingCaller(body) {
+    return !!(CallHandler._waitingCall && body && body.callerId === CallHandler._waitingCall.callerId);
+  }
+
+  static _dispatchCallWaiting(invite) {
+    const detail = invite
+      ? {
+          visible: true,
+          callerId: invite.callerId,
+          callerName: invite.callerData?.displayName || invite.callerData?.username || invite.callerId,
+          callerHandle: invite.callerData?.username ? `@${invite.callerData.username}` : "",
+          mediaType: invite.mediaType || "video",
+        }
+      : { visible: false };
+    document.dispatchEvent(new CustomEvent("chime-ui::callWaiting", { detail }));
+  }
+
+  // Clears the waiting call; returns it (or null when there was none)
+  static _takeWaitingCall() {
+    const invite = CallHandler._waitingCall;
+    clearTimeout(CallHandler._waitingCallTimerId);
+    CallHandler._waitingCallTimerId = null;
+    CallHandler._waitingCall = null;
+    CallHandler._dispatchCallWaiting(null);
+    return invite;
+  }
+
+  static _endWaitingCall(reason) {
+    const invite = CallHandler._takeWaitingCall();
+    if (invite) CallHandler._logMissedCall(invite, reason);
+  }
+
+  static _logMissedCall(invite, reason) {
+    const callerName = invite.callerData?.displayName || invite.callerData?.username || invite.callerId;
+    const mediaType = invite.mediaType || "video";
+    DebugLogger.addLog(
+      "receiving call",
+      "NOTICE",
+      "missedCall",
+      `📵 Missed ${mediaType} call from ${callerName} (${reason})`
+    );
+    document.dispatchEvent(
+      new CustomEvent(CallHandler.FLAGS.CALL_MISSED, {
+        detail: {
+          callerId: invite.callerId,
+          calleeId: invite.calleeId,
+          callerData: invite.callerData || null,
+          mediaType,
+          reason,
+          at: new Date().toISOString(),
+        },
+      })
+    );
+  }
+
+  /**
+   * End the current call and accept the waiting one
+   */
+  static async handleCallWaitingEndAndAccept() {
+    const invite = CallHandler._takeWaitingCall();
+    if (!invite) return;
+
+    DebugLogger.addLog("receiving call", "NOTICE", "handleCallWaitingEndAndAccept",
+      `Ending current call to accept ${invite.callerId}`);
+
+    if (CallStateMachine.can("end")) {
+      CallStateMachine.send("end", { reason: "switched-call" });
+    }
+    if (typeof coreChime !== "undefined") {
+      await coreChime.leave("Switched to waiting call");
+    }
+
+    // Ring + accept through the normal callee path (new meeting, new state)
+    CallHandler.handleSocketIncomingCall(invite);
+    CallHandler.handleAppAcceptCall({
+      detail: {
+        callerId: invite.callerId,
+        calleeId: invite.calleeId,
+        role: CallHandler._calleeRoleFor(invite.role),
+        callType: invite.callType,
+      },
     });
-    
-    // Dispatch grace start event locally
-    this.dipatchUI("connected", "grace", { 
-      graceActive: true,
-      message: "Grace period active for all participants" 
+  }
+
+  /**
+   * Decline the waiting call - the caller sees a busy card with the message
+   * @param {string} [message]
+   */
+  static handleCallWaitingDecline(message) {
+    const invite = CallHandler._waitingCall;
+    if (!invite) return;
+
+    const note = typeof message === "string" && message.trim() ? message.trim() : "On another call - I'll call you back.";
+    CallHandler.sendSocketMessage({
+      flag: CallHandler.FLAGS.CALL_DECLINED,
+      payload: {
+        to: invite.callerId,
+        callerId: invite.callerId,
+        calleeId: invite.calleeId,
+        reason: "in_another_call",
+        message: note,
+      },
+      schema: CallHandler.SCHEMA.decline,
     });
-    
-    // Force disable audio/video locally (initiator)
-    if (window.chimeHandler && typeof chimeHandler.forceControlsOff === 'function') {
-      chimeHandler.forceControlsOff();
+    CallHandler._endWaitingCall("declined");
+  }
+
+  /**
+   * Hide the banner and let the waiting call ring out (still logged as missed)
+   */
+  static handleCallWaitingIgnore() {
+    if (!CallHandler._waitingCall) return;
+    DebugLogger.addLog("receiving call", "NOTICE", "handleCallWaitingIgnore",
+      `Ignoring waiting call from ${CallHandler._waitingCall.callerId}`);
+    CallHandler._dispatchCallWaiting(null);
+  }
+
+  /* ====================================================================
+   * Chime session → call state machine
+   * coreChime:disconnected only fires once every reconnect attempt failed
+   * ==================================================================== */
+  static handleChimeConnected() {
+    if (CallStateMachine.can("connected")) {
+      CallStateMachine.send("connected");
     }
-    
-    console.log('[CallHandler] ⏸️ Grace period broadcast sent - ALL participants will be affected (media disabled)');
   }
 
-  static handleGracePeriodResume() {
-    if (!window.mockCallData) {
-      console.error('[CallHandler] mockCallData not initialized');
+  static handleChimeDisconnected(e) {
+    const { reason } = (e && e.detail) || {};
+    // A late stop from the previous session must not end a call that hasn't joined Chime yet
+    const inChime = ["connecting", "connected"].includes(CallStateMachine.phase);
+    if (inChime && CallStateMachine.can("end")) {
+      CallStateMachine.send("end", { reason: reason || "disconnected" });
+    }
+  }
+
+  /* ====================================================================
+   * Grace Period (wallet-driven, server-authoritative)
+   * The backend owns the clock: wallet status gives paidUntil (prepaid
+   * minutes run out) and graceEndsAt (end of the grace window) as server
+   * epoch ms. Both clients watch the same numbers, so the countdown and the
+   * end line up on each side. grace:* socket messages only tell the other
+   * side to re-check now instead of at its next poll.
+   * - minutes run out -> grace (media off, countdown, fan can top up)
+   * - top-up confirmed by the wallet -> resume
+   * - countdown expires -> end with reason "grace-end"
+   * ==================================================================== */
+
+  static _startWalletWatch() {
+    if (!CallHandler.WALLET_GRACE_ENABLED) return;
+    CallHandler._stopWalletWatch();
+    CallHandler._syncWallet("connected");
+  }
+
+  static _stopWalletWatch() {
+    clearTimeout(CallHandler._graceTimers.paid);
+    clearInterval(CallHandler._graceTimers.tick);
+    clearInterval(CallHandler._graceTimers.poll);
+    clearTimeout(CallHandler._graceTimers.retry);
+    CallHandler._graceTimers = { paid: null, tick: null, poll: null, retry: null };
+    if (CallHandler._grace.active) CallHandler._setGraceActive(false);
+    CallHandler._grace = { active: false, paidUntil: null, graceEndsAt: null, clockOffsetMs: 0, syncing: false, metered: null, retries: 0 };
+  }
+
+  static isInGrace() {
+    return CallHandler._grace.active;
+  }
+
+  // The fan pays - whichever side they are on
+  static _walletIds() {
+    const data = window.mockCallData || {};
+    const fan = data.currentUser?.isFan ? data.currentUser : data.targetUser;
+    return {
+      meetingId: CallHandler._invite.meetingId,
+      fanId: fan?.userId ? String(fan.userId) : null,
+      isFan: data.currentUser?.isFan === true,
+    };
+  }
+
+  static _serverNow() {
+    return Date.now() + CallHandler._grace.clockOffsetMs;
+  }
+
+  /* ====================================================================
+   * _syncWallet(trigger, { startGrace, fallback })
+   * fallback - wallet numbers from a grace:* message, used when our own
+   * wallet request fails (they still came from the server, via the peer)
+   * ==================================================================== */
+  static async _syncWallet(trigger, { startGrace = false, fallback = null } = {}) {
+    const { meetingId, fanId } = CallHandler._walletIds();
+    if (!meetingId || !fanId) {
+      console.warn("[CallHandler] Wallet check skipped - missing meetingId / fanId", { meetingId, fanId, trigger });
       return;
     }
-    
-    window.mockCallData.isInGrace = false;
-    
-    DebugLogger.addLog("connected", "NOTICE", "handleGracePeriodResume",
-      "Resuming from grace period - re-enabling media for ALL USERS in one-on-one call");
-    
-    // Broadcast grace period resume to ALL participants via socket (CRITICAL: One-on-one = both users affected)
-    const meetingId = window.mockCallData.callType || 'current-meeting';
-    SocketHandler.sendSocketMessage({
-      flag: 'grace:resume',
-      payload: {
-        meetingId: meetingId,
-        broadcast: true,
-        message: 'Grace period resumed - all participants media restored'
+    if (CallHandler._grace.syncing) return;
+    CallHandler._grace.syncing = true;
+
+    const requestedAt = Date.now();
+    const result = startGrace
+      ? await ApiClient.startGrace(meetingId, fanId)
+      : await ApiClient.getWalletStatus(meetingId, fanId);
+    CallHandler._grace.syncing = false;
+
+    // Call ended while the request was in flight
+    if (CallStateMachine.phase !== "connected") return;
+
+    if (!result.ok) {
+      console.warn(`[CallHandler] Wallet check failed (${trigger})`, result.error);
+      DebugLogger.addLog("connected", "NOTICE", "_syncWallet", `Wallet check failed (${trigger}): ${result.error.message}`);
+      if (fallback?.serverTime) {
+        CallHandler._applyWalletStatus(fallback, { requestedAt, trigger });
+      } else {
+        CallHandler._checkGraceDeadline();
+        CallHandler._scheduleWalletRetry(trigger, { startGrace });
       }
-    });
-    
-    // Dispatch resume event locally
-    this.dipatchUI("connected", "active", {
-      graceActive: false,
-      message: "Call resumed for all participants"
-    });
-    
-    // Re-enable audio locally (initiator)
-    if (window.chimeHandler && typeof chimeHandler.forceControlsOn === 'function') {
-      chimeHandler.forceControlsOn();
+      return;
     }
-    
-    // Dispatch timer restart event (applies to all)
-    window.dispatchEvent(new CustomEvent("call-timer:restart"));
-    
-    // Show alert AFTER restoring feeds
-    alert("✅ Resumed from grace period! ALL USERS feeds restored and timer restarted.");
-    
-    console.log('[CallHandler] ▶️ Grace period resume broadcast sent - ALL participants will be affected (media restored)');
+
+    CallHandler._grace.retries = 0;
+    CallHandler._applyWalletStatus(result.data.data, { requestedAt, trigger, startedGrace: startGrace });
+  }
+
+  // In grace the poll and the deadline check keep asking; outside it nothing
+  // else would, so a metered (or not yet known) call retries with backoff
+  static _scheduleWalletRetry(trigger, { startGrace = false } = {}) {
+    if (CallHandler._grace.active || CallHandler._grace.metered === false) return;
+
+    const { base, max } = CallHandler.WALLET_RETRY_MS;
+    const delay = Math.min(base * Math.pow(2, CallHandler._grace.retries), max);
+    CallHandler._grace.retries += 1;
+    console.log(`[CallHandler] Wallet re-check (${trigger}) in ${Math.round(delay / 1000)}s`);
+
+    clearTimeout(CallHandler._graceTimers.retry);
+    CallHandler._graceTimers.retry = setTimeout(() => CallHandler._syncWallet(trigger, { startGrace }), delay);
   }
 
-  static handleGracePeriodEndFail() {
-    if (!window.mockCallData) {
-      console.error('[CallHandler] mockCallData not initialized');
+  static _applyWalletStatus(status, { requestedAt, trigger, startedGrace = false }) {
+    const { paidUntil = null, graceEndsAt = null, serverTime = null } = status || {};
+    if (serverTime) {
+      // The server read its clock somewhere in the round trip - assume halfway
+      CallHandler._grace.clockOffsetMs = serverTime - (requestedAt + Date.now()) / 2;
+    }
+    CallHandler._grace.paidUntil = paidUntil;
+    CallHandler._grace.graceEndsAt = graceEndsAt;
+    CallMeter.setRate(status?.ratePerMinute, status?.currency);
+
+    console.log(`[CallHandler] Wallet status (${trigger})`, { paidUntil, graceEndsAt, serverTime });
+
+    CallHandler._grace.metered = paidUntil !== null;
+    if (paidUntil === null) {
+      console.log("[CallHandler] Call is not metered - no grace watch");
       return;
     }
-    
-    window.mockCallData.isInGrace = false;
-    
-    DebugLogger.addLog("connected", "CRITICAL", "handleGracePeriodEndFail",
-      "Grace period ended - call terminated for ALL users with reason: grace-end");
-    
-    // Broadcast grace period end to ALL participants via socket (CRITICAL: One-on-one = both users disconnected)
-    const meetingId = window.mockCallData.callType || 'current-meeting';
-    SocketHandler.sendSocketMessage({
-      flag: 'grace:end',
-      payload: {
-        meetingId: meetingId,
-        broadcast: true,
-        reason: 'grace-end',
-        message: 'Call ended for all participants due to grace period failure'
-      }
-    });
-    
-    // Show alert first
-    alert("❌ Call ended for ALL USERS - Reason: grace-end");
-    
-    // End call with reason
-    this.dipatchUI("ended", "grace-end", {
-      reason: "grace-end",
-      message: "Call terminated due to grace period failure"
-    });
-    
-    // Trigger call end/disconnect (local user)
-    if (window.chimeHandler && typeof chimeHandler.handleDisconnect === 'function') {
-      chimeHandler.handleDisconnect();
+
+    const now = CallHandler._serverNow();
+    if (paidUntil > now) {
+      if (CallHandler._grace.active) CallHandler._resumeFromGrace(trigger);
+      CallHandler._schedulePaidUntil();
+      return;
     }
-    
-    console.log('[CallHandler] Grace end broadcast sent - all participants will be disconnected with reason: grace-end');
+    if (graceEndsAt && graceEndsAt > now) {
+      if (!CallHandler._grace.active) CallHandler._enterGrace(trigger);
+      return;
+    }
+    if (graceEndsAt || startedGrace) {
+      // Window already over, or the server refused to open one
+      CallHandler._endForGrace(trigger);
+      return;
+    }
+
+    // Minutes ran out and no grace window yet - ask the server to open it
+    CallHandler._syncWallet(trigger, { startGrace: true });
+  }
+
+  static _schedulePaidUntil() {
+    clearTimeout(CallHandler._graceTimers.paid);
+    const delay = Math.max(0, CallHandler._grace.paidUntil - CallHandler._serverNow());
+    console.log(`[CallHandler] Prepaid minutes run out in ${Math.round(delay / 1000)}s`);
+    CallHandler._graceTimers.paid = setTimeout(() => CallHandler._syncWallet("minutes-exhausted"), delay);
   }
 
   /* ====================================================================
-   * Socket Handlers for Grace Period (received from other users)
+   * Grace transitions
    * ==================================================================== */
-  
-  static handleSocketGraceStart(data) {
-    console.log('[CallHandler] [Socket] ⏸️ Received grace:start - APPLYING TO THIS USER', data);
-    
-    if (!window.mockCallData) return;
-    window.mockCallData.isInGrace = true;
-    
-    alert("⏳ Grace period started! Video and audio disabled for ALL USERS (including you).");
-    
-    // Force disable audio/video locally (CRITICAL: This user also affected)
+  static _enterGrace(trigger) {
+    CallHandler._setGraceActive(true);
+
+    DebugLogger.addLog("connected", "NOTICE", "_enterGrace",
+      `Grace period started (${trigger}) - call ends at ${new Date(CallHandler._grace.graceEndsAt - CallHandler._grace.clockOffsetMs).toLocaleTimeString()} unless the fan tops up`);
+
+    // Media off for this side - the peer does the same on grace:start / its own check
     if (window.chimeHandler && typeof chimeHandler.forceControlsOff === 'function') {
-      chimeHandler.forceControlsOff(); // This will also show the grace period UI
+      chimeHandler.forceControlsOff();
     }
-    
-    console.log('[CallHandler] [Socket] ✅ Grace period applied - local user media disabled + Grace UI shown');
-    
-    CallHandler.dipatchUI("connected", "grace", { 
-      graceActive: true,
-      message: "Grace period active for all participants" 
-    });
+
+    CallHandler._notifyPeerGrace("grace:start", trigger);
+
+    clearInterval(CallHandler._graceTimers.tick);
+    clearInterval(CallHandler._graceTimers.poll);
+    CallHandler._graceTimers.tick = setInterval(CallHandler._tickGrace, 1000);
+    CallHandler._graceTimers.poll = setInterval(() => CallHandler._syncWallet("poll"), CallHandler.GRACE_POLL_MS);
+    CallHandler._tickGrace();
   }
 
-  static handleSocketGraceResume(data) {
-    console.log('[CallHandler] [Socket] ▶️ Received grace:resume - APPLYING TO THIS USER', data);
-    
-    if (!window.mockCallData) return;
-    window.mockCallData.isInGrace = false;
-    
-    // Re-enable audio (CRITICAL: This user also restored)
+  static _resumeFromGrace(trigger) {
+    clearInterval(CallHandler._graceTimers.tick);
+    clearInterval(CallHandler._graceTimers.poll);
+    CallHandler._setGraceActive(false);
+
+    DebugLogger.addLog("connected", "NOTICE", "_resumeFromGrace", `Top-up confirmed (${trigger}) - call resumed`);
+
     if (window.chimeHandler && typeof chimeHandler.forceControlsOn === 'function') {
-      chimeHandler.forceControlsOn(); // This will also hide the grace period UI
+      chimeHandler.forceControlsOn();
     }
-    
-    console.log('[CallHandler] [Socket] ✅ Grace period resumed - local user media restored + Grace UI hidden');
-    
-    alert("✅ Grace period ended! Feeds restored for ALL USERS (including you).");
-    
-    CallHandler.dipatchUI("connected", "active", {
-      graceActive: false,
-      message: "Call resumed for all participants"
+    window.dispatchEvent(new CustomEvent("call-timer:restart"));
+
+    CallHandler._notifyPeerGrace("grace:resume", trigger);
+  }
+
+  static _endForGrace(trigger) {
+    CallHandler._notifyPeerGrace("grace:end", trigger);
+
+    DebugLogger.addLog("connected", "CRITICAL", "_endForGrace", `Grace period expired (${trigger}) - ending call with reason: grace-end`);
+
+    // Stops the wallet watch through the "ended" hook
+    if (!CallStateMachine.send("end", { reason: "grace-end" })) return;
+    CallHandler.dipatchUI("ended", "grace-end", {
+      reason: "grace-end",
+      message: "Call ended - the grace period ran out without a top-up",
     });
+
+    // Deliberate end - chimeHandler must not offer a rejoin for the disconnect that follows
+    if (window.chimeHandler) {
+      chimeHandler._endedReason = "grace-end";
+    }
+    if (typeof coreChime !== "undefined") {
+      coreChime.leave("grace-end");
+    }
   }
 
-  static handleSocketGraceEnd(data) {
-    console.log('[CallHandler] [Socket] ❌ Received grace:end - ENDING CALL FOR THIS USER', data);
-    
-    if (!window.mockCallData) return;
-    window.mockCallData.isInGrace = false;
-    
-    // Hide grace period UI before ending
-    if (window.chimeHandler && typeof chimeHandler._hideGracePeriodUI === 'function') {
-      chimeHandler._hideGracePeriodUI();
+  static _setGraceActive(active) {
+    CallHandler._grace.active = active;
+    // Mirror for chimeHandler's media guards and the debug panel
+    if (window.mockCallData) {
+      window.mockCallData.isInGrace = active;
     }
-    
-    const reason = data.payload?.reason || 'grace-end';
-    alert(`❌ Call ended for ALL USERS - Reason: ${reason}`);
-    
-    // End call with reason
-    CallHandler.dipatchUI("ended", "grace-end", {
-      reason: reason,
-      message: data.payload?.message || "Call terminated due to grace period failure"
+    const status = document.getElementById("grace-status");
+    if (status) status.textContent = active ? "TRUE" : "FALSE";
+    if (!active) CallHandler._renderGrace(0);
+  }
+
+  static _tickGrace() {
+    const remainingMs = Math.max(0, CallHandler._grace.graceEndsAt - CallHandler._serverNow());
+    CallHandler._renderGrace(remainingMs);
+    if (remainingMs === 0) CallHandler._checkGraceDeadline();
+  }
+
+  // Local countdown hit zero - the server has the last word, unless it can't be reached
+  static _checkGraceDeadline() {
+    const { active, graceEndsAt } = CallHandler._grace;
+    if (!active || !graceEndsAt) return;
+
+    const overdueMs = CallHandler._serverNow() - graceEndsAt;
+    if (overdueMs < 0) return;
+    if (overdueMs >= CallHandler.GRACE_END_SLACK_MS) {
+      CallHandler._endForGrace("deadline-unconfirmed");
+      return;
+    }
+    CallHandler._syncWallet("deadline");
+  }
+
+  static _renderGrace(remainingMs) {
+    const totalSeconds = Math.ceil(remainingMs / 1000);
+    const remaining = `${String(Math.floor(totalSeconds / 60)).padStart(2, "0")}:${String(totalSeconds % 60).padStart(2, "0")}`;
+    document.dispatchEvent(
+      new CustomEvent("chime-ui::grace", {
+        detail: {
+          visible: CallHandler._grace.active,
+          remaining,
+          remainingMs,
+          canTopUp: CallHandler._walletIds().isFan,
+        },
+      })
+    );
+  }
+
+  static _notifyPeerGrace(flag, trigger) {
+    // Don't echo a change the peer told us about
+    if (trigger.startsWith("socket:")) return;
+
+    const { side, callerId, calleeId } = CallStateMachine.snapshot();
+    const { meetingId } = CallHandler._walletIds();
+    const { paidUntil, graceEndsAt } = CallHandler._grace;
+    CallHandler.sendSocketMessage({
+      flag,
+      payload: {
+        to: side === "caller" ? calleeId : callerId,
+        meetingId,
+        reason: flag === "grace:end" ? "grace-end" : trigger,
+        paidUntil,
+        graceEndsAt,
+        serverTime: Math.round(CallHandler._serverNow()),
+      },
     });
-    
-    // Disconnect this user
-    if (window.chimeHandler && typeof chimeHandler.handleDisconnect === 'function') {
-      chimeHandler.handleDisconnect();
+  }
+
+  /* ====================================================================
+   * Top-up - checkout runs in the parent page; its confirmation only
+   * triggers a wallet check, the wallet decides whether the call resumes
+   * ==================================================================== */
+  static handleGraceTopUp() {
+    const { meetingId, fanId, isFan } = CallHandler._walletIds();
+    if (!isFan) return;
+
+    DebugLogger.addLog("connected", "NOTICE", "handleGraceTopUp", "Opening wallet top-up", { meetingId, fanId });
+    if (window.parent && window.parent !== window) {
+      window.parent.postMessage({
+        event: 'chime-wallet-topup',
+        meeting_id: meetingId,
+        fan_id: fanId,
+      }, '*');
+    } else {
+      console.warn("[CallHandler] No parent page to run the top-up checkout");
     }
-    
-    console.log('[CallHandler] [Socket] Call ended for this user due to grace period failure - Reason:', reason);
+  }
+
+  static handleWalletMessage(e) {
+    if (e.data?.event !== "chime-wallet-topup-complete") return;
+    console.log("[CallHandler] Top-up reported by parent page", e.data);
+    CallHandler._syncWallet("topup");
+  }
+
+  /* ====================================================================
+   * Socket Handlers for Grace Period (received from the other side)
+   * ==================================================================== */
+
+  static handleSocketGraceStart(body) {
+    console.log('[CallHandler] [Socket] ⏸️ Received grace:start', body);
+    CallHandler._syncWallet("socket:grace:start", { fallback: body });
+  }
+
+  static handleSocketGraceResume(body) {
+    console.log('[CallHandler] [Socket] ▶️ Received grace:resume', body);
+    CallHandler._syncWallet("socket:grace:resume", { fallback: body });
+  }
+
+  static handleSocketGraceEnd(body) {
+    console.log('[CallHandler] [Socket] ❌ Received grace:end', body);
+    CallHandler._syncWallet("socket:grace:end", { fallback: body });
   }
 }
 
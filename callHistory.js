@@ -0,0 +1,280 @@
+/* ========================================================================
+ * callHistory.js
+ * Local call history + missed-call log (localStorage, this browser only)
+ * - Fed by CallStateMachine: one entry per call when it reaches "ended"
+ * - Busy / call-waiting attempts come in through the local call:missed event
+ * - Entry: { id, peerId, peerName, peerData, direction, mediaType, outcome,
+ *            startedAt, connectedAt, endedAt, durationSec, reason, seen }
+ *   direction: "outgoing" | "incoming"
+ *   outcome:   "missed" | "declined" | "cancelled" | "completed" | "grace-end" | "failed"
+ * - callBack(id) redials the peer through CallHandler._initiateCall
+ * ======================================================================== */
+
+class CallHistory {
+  static OUTCOMES = {
+    MISSED: "missed",
+    DECLINED: "declined",
+    CANCELLED: "cancelled",
+    COMPLETED: "completed",
+    GRACE_END: "grace-end",
+    FAILED: "failed",
+  };
+
+  static _storageKey = "callHistory:v1";
+  static _maxEntries = 100;
+  static _entries = null; // loaded lazily
+  static _current = null; // call in progress { side, startedAt, connectedAt }
+  static _initialized = false;
+
+  /* ====================================================================
+   * init() - called from CallHandler.init()
+   * ==================================================================== */
+  static init() {
+    if (this._initialized) return;
+    this._initialized = true;
+
+    CallStateMachine.onEnter("*", (transition, snapshot) => this._onTransition(transition, snapshot));
+    document.addEventListener(CallHandler.FLAGS.CALL_MISSED, (e) => this._onMissedCall(e.detail || {}));
+
+    // List is re-rendered as plain DOM - delegate clicks so re-renders keep working
+    document.addEventListener("click", (e) => {
+      const button = e.target.closest && e.target.closest("[data-call-back]");
+      if (button) this.callBack(button.getAttribute("data-call-back"));
+    });
+
+    this.render();
+    console.log("[CallHistory] Initialized", { entries: this.list().length, missed: this.missed().length });
+  }
+
+  static _onTransition({ from, to, event }, snapshot) {
+    if (to === "outgoing" || to === "incoming") {
+      this._current = { side: snapshot.side, startedAt: Date.now(), connectedAt: null };
+      return;
+    }
+    if (to === "connected" && this._current) {
+      this._current.connectedAt = Date.now();
+      return;
+    }
+    if (to !== "ended" || !this._current) return;
+
+    const call = this._current;
+    this._current = null;
+
+    // Answered / declined on another device - that device keeps the record
+    if (event === "stop") return;
+
+    const incoming = call.side === "callee";
+    const peerId = incoming ? snapshot.callerId : snapshot.calleeId;
+    const peerData = incoming ? CallHandler._invite.callerData : CallHandler._targetUserData;
+
+    this.add({
+      peerId,
+      peerData,
+      direction: incoming ? "incoming" : "outgoing",
+      mediaType: CallHandler._invite.callType || window.mockCallData?.mediaType || "video",
+      outcome: this._outcomeFor(event, from, snapshot.reason, !!call.connectedAt),
+      startedAt: call.startedAt,
+      connectedAt: call.connectedAt,
+      endedAt: Date.now(),
+      reason: snapshot.reason,
+    });
+  }
+
+  static _outcomeFor(event, from, reason, wasConnected) {
+    if (wasConnected) {
+      return reason === "grace-end" ? this.OUTCOMES.GRACE_END : this.OUTCOMES.COMPLETED;
+    }
+    switch (event) {
+      case "decline":
+      case "declined":
+        return this.OUTCOMES.DECLINED;
+      case "timeout":
+        return this.OUTCOMES.MISSED;
+      case "cancelled":
+        // Caller hung up while we were still ringing
+        return from === "incoming" ? this.OUTCOMES.MISSED : this.OUTCOMES.CANCELLED;
+      case "cancel":
+      case "end":
+        return this.OUTCOMES.CANCELLED;
+      default:
+        return this.OUTCOMES.FAILED;
+    }
+  }
+
+  static _onMissedCall(detail) {
+    const at = detail.at ? Date.parse(detail.at) : Date.now();
+    this.add({
+      peerId: detail.callerId,
+      peerData: detail.callerData,
+      direction: "incoming",
+      mediaType: detail.mediaType || "video",
+      outcome: this.OUTCOMES.MISSED,
+      startedAt: at,
+      connectedAt: null,
+      endedAt: at,
+      reason: detail.reason || null,
+    });
+  }
+
+  /* ====================================================================
+   * Store
+   * ==================================================================== */
+  static add({ peerId, peerData = null, direction, mediaType, outcome, startedAt, connectedAt = null, endedAt, reason = null }) {
+    const entry = {
+      id: `${endedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      peerId: peerId || null,
+      peerName: peerData?.displayName || peerData?.username || peerId || "Unknown",
+      peerData: peerData || null,
+      direction,
+      mediaType,
+      outcome,
+      startedAt: new Date(startedAt).toISOString(),
+      connectedAt: connectedAt ? new Date(connectedAt).toISOString() : null,
+      endedAt: new Date(endedAt).toISOString(),
+      durationSec: connectedAt ? Math.max(0, Math.round((endedAt - connectedAt) / 1000)) : 0,
+      reason,
+      seen: outcome !== this.OUTCOMES.MISSED,
+    };
+
+    const entries = this._load();
+    entries.unshift(entry);
+    entries.length = Math.min(entries.length, this._maxEntries);
+    this._save();
+
+    console.log("[CallHistory] Recorded", entry);
+    if (typeof DebugLogger !== "undefined") {
+      DebugLogger.addLog(
+        "ready",
+        "NOTICE",
+        "CallHistory.add",
+        `${entry.direction} ${entry.mediaType} call with ${entry.peerName}: ${entry.outcome} (${this.formatDuration(entry.durationSec)})`
+      );
+    }
+    this.render();
+    return entry;
+  }
+
+  // Newest first
+  static list() {
+    return this._load().slice();
+  }
+
+  static missed() {
+    return this._load().filter((entry) => entry.outcome === this.OUTCOMES.MISSED);
+  }
+
+  static markMissedSeen() {
+    this._load().forEach((entry) => {
+      entry.seen = true;
+    });
+    this._save();
+    this.render();
+  }
+
+  static clear() {
+    this._entries = [];
+    this._save();
+    this.render();
+  }
+
+  static _load() {
+    if (this._entries) return this._entries;
+    try {
+      const raw = window.localStorage?.getItem(this._storageKey);
+      this._entries = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      console.warn("[CallHistory] Could not read stored history:", error);
+      this._entries = [];
+    }
+    return this._entries;
+  }
+
+  static _save() {
+    try {
+      window.localStorage?.setItem(this._storageKey, JSON.stringify(this._entries || []));
+    } catch (error) {
+      console.warn("[CallHistory] Could not store history:", error);
+    }
+  }
+
+  /* ====================================================================
+   * callBack(id) - redial a history entry with the same media type
+   * ==================================================================== */
+  static callBack(id) {
+    const entry = this._load().find((item) => item.id === id);
+    if (!entry || !entry.peerId) {
+      console.warn("[CallHistory] Nothing to call back", id);
+      return false;
+    }
+    if (!CallStateMachine.can("dial")) {
+      DebugLogger.addLog("calling", "NOTICE", "CallHistory.callBack", "Finish the current call before calling back");
+      return false;
+    }
+
+    entry.seen = true;
+    this._save();
+    this.render();
+
+    if (CallHandler._els.targetUserId) {
+      CallHandler._els.targetUserId.value = entry.peerId;
+    }
+    // Peer profile from the original invite - _initiateCall falls back to mockCallData otherwise
+    CallHandler._targetUserData = entry.peerData;
+    if (window.mockCallData && entry.peerData) {
+      window.mockCallData.targetUser = entry.peerData;
+    }
+
+    DebugLogger.addLog("calling", "NOTICE", "CallHistory.callBack", `Calling back ${entry.peerName}`);
+    CallHandler._initiateCall(entry.mediaType === "audio" ? "audio" : "video");
+    return true;
+  }
+
+  /* ====================================================================
+   * render() - #call-history-list and #missed-call-list (debug panel)
+   * ==================================================================== */
+  static render() {
+    const historyEl = document.getElementById("call-history-list");
+    const missedEl = document.getElementById("missed-call-list");
+    const entries = this._load();
+
+    if (historyEl) {
+      historyEl.innerHTML = "";
+      entries.slice(0, 20).forEach((entry) => {
+        const line = document.createElement("p");
+        const arrow = entry.direction === "incoming" ? "↙" : "↗";
+        const time = new Date(entry.endedAt).toLocaleString();
+        line.textContent = `[${time}] ${arrow} ${entry.peerName} · ${entry.mediaType} · ${entry.outcome} · ${this.formatDuration(entry.durationSec)}`;
+        historyEl.appendChild(line);
+      });
+      if (entries.length === 0) historyEl.textContent = "No calls yet";
+    }
+
+    if (missedEl) {
+      const missed = this.missed();
+      missedEl.innerHTML = "";
+      missed.slice(0, 20).forEach((entry) => {
+        const line = document.createElement("p");
+        const time = new Date(entry.endedAt).toLocaleString();
+        line.textContent = `${entry.seen ? "" : "● "}[${time}] ${entry.peerName} (${entry.mediaType}${entry.reason ? `, ${entry.reason}` : ""}) `;
+
+        const button = document.createElement("button");
+        button.textContent = "Call back";
+        button.setAttribute("data-call-back", entry.id);
+        line.appendChild(button);
+        missedEl.appendChild(line);
+      });
+      if (missed.length === 0) missedEl.textContent = "No missed calls";
+    }
+
+    const badge = document.getElementById("missed-call-count");
+    if (badge) badge.textContent = String(this.missed().filter((entry) => !entry.seen).length);
+  }
+
+  static formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, "0");
+    return `${minutes}:${rest}`;
+  }
+}
+
+window.CallHistory = CallHistory;
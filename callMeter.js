@@ -0,0 +1,256 @@
+/* ========================================================================
+ * callMeter.js
+ * Per-minute metering for paid one-on-one calls
+ * - Billable time runs only while the other participant is in the meeting
+ *   and the call is not in grace (chime-ui::grace)
+ * - Billed per started minute: each new minute produces a checkpoint
+ *   { meetingId, reporterId, seq, billableSeconds, billedMinutes, amountCents }
+ *   sent to the backend. Checkpoints are cumulative, so a lost one is
+ *   covered by the next; the last one is sent with final: true
+ * - Creator sees running earnings in [data-earnings] (next to [data-timer])
+ * - On "ended" a receipt is dispatched as chime-ui::receipt (Ended component)
+ * - Rate comes from the wallet status (CallHandler) or mockCallData.ratePerMinute
+ * ======================================================================== */
+
+class CallMeter {
+  static CHECKPOINT_SECONDS = 60; // one billed minute per checkpoint
+
+  static _session = null;
+  static _tickTimer = null;
+  static _initialized = false;
+  static lastReceipt = null;
+
+  /* ====================================================================
+   * init() - called from CallHandler.init()
+   * ==================================================================== */
+  static init() {
+    if (this._initialized) return;
+    this._initialized = true;
+
+    CallStateMachine.onEnter("connected", () => this._startSession());
+    CallStateMachine.onEnter("ended", (transition, snapshot) => this._endSession(snapshot));
+    // A new call takes the last receipt off the Ended screen
+    CallStateMachine.onEnter("outgoing", () => this._clearReceipt());
+    CallStateMachine.onEnter("incoming", () => this._clearReceipt());
+
+    window.addEventListener("coreChime:attendee-joined", (e) => this._onPresence(e.detail, true));
+    window.addEventListener("coreChime:attendee-left", (e) => this._onPresence(e.detail, false));
+    document.addEventListener("chime-ui::grace", (e) => {
+      if (!this._session || this._session.inGrace === !!e.detail?.visible) return;
+      this._session.inGrace = !!e.detail?.visible;
+      this._evaluate();
+    });
+
+    console.log("[CallMeter] Initialized");
+  }
+
+  /* ====================================================================
+   * setRate(ratePerMinute, currency) - price of one billed minute
+   * ==================================================================== */
+  static setRate(ratePerMinute, currency = "USD") {
+    if (!this._session || ratePerMinute === null || ratePerMinute === undefined) return;
+    this._session.rateCents = Math.round(Number(ratePerMinute) * 100);
+    this._session.currency = currency || this._session.currency;
+    this._render();
+  }
+
+  static _startSession() {
+    const data = window.mockCallData || {};
+    const { side, callerId, calleeId } = CallStateMachine.snapshot();
+
+    this._stopTick();
+    this._session = {
+      meetingId: CallHandler._invite.meetingId,
+      reporterId: data.currentUser?.userId ? String(data.currentUser.userId) : null,
+      isCreator: data.currentUser?.isCreator === true,
+      peerName: data.targetUser?.displayName || data.targetUser?.username || (side === "caller" ? calleeId : callerId),
+      mediaType: data.mediaType || "video",
+      rateCents: Math.round(Number(data.ratePerMinute || 0) * 100),
+      currency: data.currency || "USD",
+      startedAt: Date.now(),
+      // Anyone already in the meeting joined before this session existed
+      remoteAttendees: new Set(coreChime._presentAttendees),
+      inGrace: !!data.isInGrace,
+      billableMs: 0, // closed segments
+      segmentStart: null, // open segment (billable right now)
+      graceMs: 0,
+      graceStart: null,
+      checkpoints: [],
+    };
+
+    this._tickTimer = setInterval(() => this._tick(), 1000);
+    this._evaluate();
+    this._render();
+    console.log("[CallMeter] Session started", { meetingId: this._session.meetingId });
+  }
+
+  static _onPresence(detail, present) {
+    if (!this._session || !detail?.attendeeId) return;
+    if (detail.attendeeId === coreChime.getLocalIdentifiers().attendeeId) return;
+
+    if (present) {
+      this._session.remoteAttendees.add(detail.attendeeId);
+    } else {
+      this._session.remoteAttendees.delete(detail.attendeeId);
+    }
+    this._evaluate();
+  }
+
+  // Opens / closes the billable segment to match the current conditions
+  static _evaluate() {
+    const session = this._session;
+    if (!session) return;
+    const now = Date.now();
+
+    const billable = session.remoteAttendees.size > 0 && !session.inGrace;
+    if (billable && session.segmentStart === null) {
+      session.segmentStart = now;
+      console.log("[CallMeter] Billing resumed");
+    } else if (!billable && session.segmentStart !== null) {
+      session.billableMs += now - session.segmentStart;
+      session.segmentStart = null;
+      console.log("[CallMeter] Billing paused", { remote: session.remoteAttendees.size, inGrace: session.inGrace });
+    }
+
+    if (session.inGrace && session.graceStart === null) {
+      session.graceStart = now;
+    } else if (!session.inGrace && session.graceStart !== null) {
+      session.graceMs += now - session.graceStart;
+      session.graceStart = null;
+    }
+
+    this._tick();
+  }
+
+  static billableSeconds() {
+    const session = this._session;
+    if (!session) return 0;
+    const openMs = session.segmentStart !== null ? Date.now() - session.segmentStart : 0;
+    return Math.floor((session.billableMs + openMs) / 1000);
+  }
+
+  static _billedMinutes(seconds) {
+    return Math.ceil(seconds / this.CHECKPOINT_SECONDS);
+  }
+
+  static _tick() {
+    const session = this._session;
+    if (!session) return;
+
+    const seconds = this.billableSeconds();
+    const minutes = this._billedMinutes(seconds);
+    if (minutes > session.checkpoints.length) {
+      this._checkpoint(seconds, minutes);
+    }
+    this._render();
+  }
+
+  /* ====================================================================
+   * _checkpoint(seconds, minutes, final)
+   * ==================================================================== */
+  static async _checkpoint(seconds, minutes, final = false) {
+    const session = this._session;
+    const checkpoint = {
+      meetingId: session.meetingId,
+      reporterId: session.reporterId,
+      seq: final ? session.checkpoints.length + 1 : minutes,
+      billableSeconds: seconds,
+      billedMinutes: minutes,
+      amountCents: minutes * session.rateCents,
+      currency: session.currency,
+      at: new Date().toISOString(),
+      final,
+    };
+    session.checkpoints.push(checkpoint);
+
+    console.log("[CallMeter] Checkpoint", checkpoint);
+    if (!session.meetingId) {
+      console.warn("[CallMeter] No meetingId - checkpoint kept locally only");
+      return checkpoint;
+    }
+
+    const result = await ApiClient.recordCallMeter(checkpoint);
+    if (!result.ok) {
+      // Cumulative - the next checkpoint carries these seconds too
+      DebugLogger.addLog("connected", "NOTICE", "CallMeter._checkpoint", `Checkpoint ${checkpoint.seq} not recorded: ${result.error.message}`);
+    }
+    return checkpoint;
+  }
+
+  static _endSession(snapshot) {
+    const session = this._session;
+    if (!session) return;
+
+    session.remoteAttendees.clear();
+    session.inGrace = false;
+    this._evaluate();
+    this._stopTick();
+
+    const seconds = this.billableSeconds();
+    const minutes = this._billedMinutes(seconds);
+    this._checkpoint(seconds, minutes, true);
+
+    const receipt = {
+      meetingId: session.meetingId,
+      peerName: session.peerName,
+      mediaType: session.mediaType,
+      role: session.isCreator ? "creator" : "fan",
+      startedAt: new Date(session.startedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      durationSeconds: Math.round((Date.now() - session.startedAt) / 1000),
+      billableSeconds: seconds,
+      graceSeconds: Math.round(session.graceMs / 1000),
+      billedMinutes: minutes,
+      rateCents: session.rateCents,
+      amountCents: minutes * session.rateCents,
+      currency: session.currency,
+      reason: snapshot.reason,
+    };
+
+    this._session = null;
+    this.lastReceipt = receipt;
+    this._render();
+
+    DebugLogger.addLog("terminated", "NOTICE", "CallMeter._endSession",
+      `Call receipt: ${minutes} min billed (${seconds}s) = ${this.formatMoney(receipt.amountCents, receipt.currency)}`, receipt);
+    document.dispatchEvent(new CustomEvent("chime-ui::receipt", { detail: receipt }));
+  }
+
+  static _clearReceipt() {
+    if (!this.lastReceipt) return;
+    this.lastReceipt = null;
+    document.dispatchEvent(new CustomEvent("chime-ui::receipt", { detail: null }));
+  }
+
+  static _stopTick() {
+    clearInterval(this._tickTimer);
+    this._tickTimer = null;
+  }
+
+  /* ====================================================================
+   * _render() - running earnings, creator only
+   * ==================================================================== */
+  static _render() {
+    const session = this._session;
+    const show = !!session && session.isCreator && session.rateCents > 0;
+    const text = show
+      ? `Earned ${this.formatMoney(this._billedMinutes(this.billableSeconds()) * session.rateCents, session.currency)}`
+      : "";
+
+    document.querySelectorAll("[data-earnings]").forEach((el) => {
+      el.textContent = text;
+      el.style.display = show ? "" : "none";
+    });
+  }
+
+  static formatMoney(cents, currency = "USD") {
+    try {
+      return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(cents / 100);
+    } catch (error) {
+      // Platform tokens etc. aren't ISO currencies
+      return `${(cents / 100).toFixed(2)} ${currency}`;
+    }
+  }
+}
+
+window.CallMeter = CallMeter;
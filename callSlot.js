@@ -0,0 +1,477 @@
+/* ========================================================================
+ * callSlot.js
+ * Booked time slot for a call: { startTime, endTime } from meeting metadata
+ * - Sources: meetingInfo.startTime / endTime (scheduled links, chimeHandler),
+ *   mockCallData.slot (booking passed in by the host page) and the caller's
+ *   call:initiate payload (slot), so both sides count against the same times
+ * - [data-meeting-time] shows the slot ("9:00pm-9:15pm"), [data-status-text]
+ *   counts down to the start ("in 04:59") and then to the end ("14:59 left")
+ * - Warnings at 5 and 1 minute left (chime-ui::slot banner)
+ * - At endTime the call ends on both sides with reason "slot-end", unless the
+ *   creator extended the slot (slot-extend over the data channel)
+ * - Paid extensions: the creator's prices (mockCallData.extensionOffers,
+ *   [{ minutes, price }]) go to the fan as an offer card in the chat at the
+ *   5 minute warning; checkout runs in the parent page (chime-card-extension)
+ *   and its chime-extension-purchased reply (parent origin only) extends the
+ *   slot on both sides once the order checks out with the backend
+ * ======================================================================== */
+
+class CallSlot {
+  static WARNING_MINUTES = [5, 1];
+  static EXTENSION_MINUTES = 5; // creator's "Extend" button
+  static END_SLACK_MS = 30000; // peer's slot-end is honoured this close to our own endTime (clock skew)
+
+  static _slot = null; // { startTime, endTime } epoch ms, endTime may be null
+  static _warned = new Set(); // WARNING_MINUTES already shown for the current endTime
+  static _inMeeting = false;
+  static _ended = false;
+  static _tickTimer = null;
+  static _initialized = false;
+
+  static _extensionOffers = []; // creator: { id, minutes, price } the fan can buy
+  static _receivedOffers = []; // fan: offers sent by the creator for this call
+  static _purchasedOrders = new Set(); // checkout replies already applied
+
+  /* ====================================================================
+   * init() - called from CallHandler.init()
+   * ==================================================================== */
+  static init() {
+    if (this._initialized) return;
+    this._initialized = true;
+
+    window.addEventListener("coreChime:connected", () => {
+      this._inMeeting = true;
+      this._tick();
+    });
+    window.addEventListener("coreChime:disconnected", () => {
+      this._inMeeting = false;
+      this._render();
+    });
+    // A new call starts from the booking again - extensions belong to the call that got them
+    CallStateMachine.onEnter("outgoing", () => this.setSlot(window.mockCallData?.slot));
+    // Extension checkout runs in the parent page (same postMessage bridge as chat cards)
+    window.addEventListener("message", (e) => this.handleCheckoutMessage(e));
+
+    this.setExtensionOffers(window.mockCallData?.extensionOffers || []);
+
+    // meetingInfo (scheduled links) may have set it already
+    if (!this._slot && window.mockCallData?.slot) this.setSlot(window.mockCallData.slot);
+    console.log("[CallSlot] Initialized", this._slot);
+  }
+
+  /* ====================================================================
+   * setSlot({ startTime, endTime }) - ISO strings or epoch ms
+   * ==================================================================== */
+  static setSlot(slot) {
+    const startTime = slot?.startTime ? new Date(slot.startTime).getTime() : NaN;
+    const endTime = slot?.endTime ? new Date(slot.endTime).getTime() : null;
+
+    this._stopTick();
+    this._warned.clear();
+    this._ended = false;
+    this._receivedOffers = [];
+
+    if (Number.isNaN(startTime) || Number.isNaN(endTime) || (endTime !== null && endTime <= startTime)) {
+      if (slot) console.warn("[CallSlot] Invalid slot - ignored", slot);
+      this._slot = null;
+      this._render();
+      return;
+    }
+
+    this._slot = { startTime, endTime };
+    console.log("[CallSlot] Slot set", {
+      startTime: new Date(startTime).toLocaleString(),
+      endTime: endTime ? new Date(endTime).toLocaleString() : null,
+    });
+
+    this._tickTimer = setInterval(() => this._tick(), 1000);
+    this._tick();
+  }
+
+  // For call:initiate - the callee runs on the caller's booking
+  static toPayload() {
+    if (!this._slot) return null;
+    return {
+      startTime: new Date(this._slot.startTime).toISOString(),
+      endTime: this._slot.endTime ? new Date(this._slot.endTime).toISOString() : null,
+    };
+  }
+
+  static remainingMs() {
+    if (!this._slot?.endTime) return null;
+    return Math.max(0, this._slot.endTime - Date.now());
+  }
+
+  static _tick() {
+    if (!this._slot) return;
+    const remainingMs = this.remainingMs();
+
+    if (remainingMs !== null && this._inMeeting && !this._ended) {
+      this.WARNING_MINUTES.forEach((minutes) => {
+        if (remainingMs <= minutes * 60000 && remainingMs > 0 && !this._warned.has(minutes)) {
+          this._warned.add(minutes);
+          DebugLogger.addLog("connected", "NOTICE", "CallSlot._tick",
+            `${minutes} minute${minutes === 1 ? "" : "s"} left in this slot${this._isCreator() ? "" : " - the creator can extend it"}`);
+          // First warning (re-armed by every extension) - time to sell more minutes
+          if (minutes === this.WARNING_MINUTES[0] && this._isCreator()) this.offerExtensions("warning");
+        }
+      });
+      if (remainingMs === 0) {
+        this._endForSlot("deadline");
+        return;
+      }
+    }
+
+    this._render();
+  }
+
+  /* ====================================================================
+   * extend(minutes) - creator only; the peer gets the new endTime
+   * ==================================================================== */
+  static extend(minutes = this.EXTENSION_MINUTES) {
+    if (!this._isCreator()) {
+      DebugLogger.addLog("connected", "NOTICE", "CallSlot.extend", "Only the creator can extend the call");
+      return false;
+    }
+    return this._extendBy(minutes, "creator");
+  }
+
+  // source: "creator" (granted) | "purchase" (fan bought it, orderId set)
+  static _extendBy(minutes, source, orderId = null) {
+    if (!this._slot?.endTime || this._ended) return false;
+
+    const endTime = this._slot.endTime + minutes * 60000;
+    this._applyEndTime(endTime);
+    DebugLogger.addLog("connected", "NOTICE", "CallSlot._extendBy",
+      `Slot extended by ${minutes} min (${source}) - now ends ${new Date(endTime).toLocaleTimeString()}`);
+
+    if (this._inMeeting && window.chimeHandler) {
+      chimeHandler.handleDataSend("slot-extend", { endTime, minutes, source, orderId });
+    }
+    return true;
+  }
+
+  // Extensions carry the absolute endTime, so a repeated message changes nothing
+  static _applyEndTime(endTime) {
+    this._slot.endTime = endTime;
+    const remainingMs = this.remainingMs();
+    this.WARNING_MINUTES.forEach((minutes) => {
+      if (remainingMs > minutes * 60000) this._warned.delete(minutes);
+    });
+    this._tick();
+  }
+
+  /* ====================================================================
+   * Data channel (chimeHandler.handleDataReceive)
+   * ==================================================================== */
+  static async handleRemoteExtend(payload, from) {
+    if (!this._slot?.endTime || this._ended) return;
+    const endTime = Number(payload?.endTime);
+    if (!Number.isFinite(endTime) || endTime <= this._slot.endTime) return;
+
+    let grantedEndTime = endTime;
+    if (payload.source === "purchase") {
+      // The fan's own paid order, confirmed by the backend - never more than it paid for
+      const orderId = payload.orderId;
+      if (!orderId || this._purchasedOrders.has(orderId)) return;
+      const order = await this._verifyOrder(orderId);
+      if (!order || String(order.fanId) !== this._senderUserId(from)) {
+        DebugLogger.addLog("connected", "CRITICAL", "CallSlot.handleRemoteExtend", `Rejected purchased extension (order ${orderId})`, {
+          attendeeId: from?.attendeeId,
+        });
+        return;
+      }
+      if (this._purchasedOrders.has(orderId) || !this._slot?.endTime) return;
+      this._purchasedOrders.add(orderId);
+      grantedEndTime = Math.min(endTime, this._slot.endTime + order.minutes * 60000);
+    } else if (!this._isFromCreator(from)) {
+      console.warn("[CallSlot] Ignoring slot-extend from non-creator", from?.attendeeId);
+      DebugLogger.addLog("connected", "CRITICAL", "CallSlot.handleRemoteExtend", "Rejected slot-extend from non-creator", {
+        attendeeId: from?.attendeeId,
+      });
+      return;
+    }
+    // The slot may have ended or moved on while we checked
+    if (!this._slot?.endTime || this._ended || grantedEndTime <= this._slot.endTime) return;
+
+    this._applyEndTime(grantedEndTime);
+    const who = payload.source === "purchase" ? "The fan bought" : "The creator added";
+    DebugLogger.addLog("connected", "NOTICE", "CallSlot.handleRemoteExtend",
+      `${who} ${payload.minutes || "?"} more min - call now ends ${new Date(grantedEndTime).toLocaleTimeString()}`);
+  }
+
+  static handleRemoteOffer(payload, from) {
+    if (this._isCreator() || !this._slot?.endTime || this._ended) return;
+    if (!this._isFromCreator(from)) {
+      console.warn("[CallSlot] Ignoring extension-offer from non-creator", from?.attendeeId);
+      DebugLogger.addLog("connected", "CRITICAL", "CallSlot.handleRemoteOffer", "Rejected extension-offer from non-creator", {
+        attendeeId: from?.attendeeId,
+      });
+      return;
+    }
+    const offers = Array.isArray(payload?.offers) ? payload.offers : [];
+    this._receivedOffers = offers.map((offer) => ({ ...offer, currency: payload.currency || "USD" }));
+    if (this._receivedOffers.length === 0) return;
+
+    DebugLogger.addLog("connected", "NOTICE", "CallSlot.handleRemoteOffer",
+      `Extension offer: ${this._receivedOffers.map((offer) => `+${offer.minutes} min ${this._priceText(offer)}`).join(", ")}`);
+
+    // Offer card in the chat sidebar (chatHandler renders scope "extension")
+    window.dispatchEvent(
+      new CustomEvent("ingest-cards", {
+        detail: this._receivedOffers.map((offer) => ({
+          scope: "extension",
+          item: { ...offer, priceText: this._priceText(offer), creator: { username: payload.sender } },
+        })),
+      })
+    );
+    this._render();
+  }
+
+  /* ====================================================================
+   * Paid extensions
+   * ==================================================================== */
+
+  // offers: [{ minutes, price }] - price per offer, in mockCallData.currency
+  static setExtensionOffers(offers) {
+    this._extensionOffers = (offers || [])
+      .map((offer) => ({ minutes: Math.round(Number(offer.minutes)), price: Number(offer.price) }))
+      .filter((offer) => offer.minutes > 0 && offer.price >= 0)
+      .map((offer) => ({ id: `ext-${offer.minutes}`, ...offer }));
+    console.log("[CallSlot] Extension offers", this._extensionOffers);
+    return this._extensionOffers;
+  }
+
+  static offerExtensions(trigger = "manual") {
+    if (!this._isCreator() || this._extensionOffers.length === 0) return false;
+    if (!this._inMeeting || !this._slot?.endTime || this._ended || !window.chimeHandler) return false;
+
+    const data = window.mockCallData || {};
+    chimeHandler.handleDataSend("extension-offer", {
+      offers: this._extensionOffers,
+      currency: data.currency || "USD",
+      sender: data.currentUser?.username || "",
+    });
+    DebugLogger.addLog("connected", "NOTICE", "CallSlot.offerExtensions", `Extension offer sent (${trigger})`, this._extensionOffers);
+    return true;
+  }
+
+  // Fan - opens checkout in the parent page
+  static buyExtension(offerId) {
+    const offer = this._receivedOffers.find((item) => item.id === offerId);
+    if (!offer || this._ended) {
+      DebugLogger.addLog("connected", "NOTICE", "CallSlot.buyExtension", "This extension offer is no longer available");
+      return false;
+    }
+
+    DebugLogger.addLog("connected", "NOTICE", "CallSlot.buyExtension", `Opening checkout for +${offer.minutes} min (${this._priceText(offer)})`);
+    if (window.parent && window.parent !== window) {
+      window.parent.postMessage({
+        event: 'chime-card-extension',
+        type: 'extension',
+        item_id: offer.id,
+        meeting_id: this._meetingId(),
+        minutes: offer.minutes,
+        price: offer.price,
+      }, '*');
+    } else {
+      console.warn("[CallSlot] No parent page to run the extension checkout");
+    }
+    return true;
+  }
+
+  static async handleCheckoutMessage(e) {
+    if (e.data?.event !== "chime-extension-purchased") return;
+    // Only the page we are embedded in runs checkout
+    if (window.parent === window || e.source !== window.parent || e.origin !== this._parentOrigin()) {
+      console.warn("[CallSlot] Ignoring chime-extension-purchased from", e.origin);
+      return;
+    }
+
+    const { item_id: offerId, order_id: orderId } = e.data;
+    const offer = this._receivedOffers.find((item) => item.id === offerId);
+    if (!offer || !orderId || this._purchasedOrders.has(orderId)) return;
+    this._purchasedOrders.add(orderId);
+
+    const order = await this._verifyOrder(orderId);
+    const fanId = window.mockCallData?.currentUser?.userId;
+    if (!order || order.itemId !== offer.id || String(order.fanId) !== String(fanId)) {
+      // Unconfirmed - a later reply for the same order may still go through
+      this._purchasedOrders.delete(orderId);
+      DebugLogger.addLog("connected", "CRITICAL", "CallSlot.handleCheckoutMessage", `Extension order ${orderId} not confirmed by the backend`);
+      return;
+    }
+
+    if (!this._extendBy(order.minutes, "purchase", orderId)) {
+      // Paid after the slot ended - the order has to be refunded by the backend
+      DebugLogger.addLog("terminated", "CRITICAL", "CallSlot.handleCheckoutMessage",
+        `Extension purchased after the call ended (order ${orderId})`);
+    }
+  }
+
+  // The backend's record of a paid extension for this call, or null
+  static async _verifyOrder(orderId) {
+    const meetingId = this._meetingId();
+    const result = await ApiClient.getExtensionOrder(meetingId, orderId);
+    if (!result.ok) {
+      console.warn(`[CallSlot] Order ${orderId} check failed`, result.error);
+      return null;
+    }
+
+    const order = result.data.data;
+    const minutes = Math.round(Number(order.minutes));
+    if (order.status !== "paid" || order.meetingId !== meetingId || !(minutes > 0)) return null;
+    return { ...order, minutes };
+  }
+
+  static _meetingId() {
+    return CallHandler._invite.meetingId || window.chimeHandler?._meetingMetadata?.MeetingId || null;
+  }
+
+  // mockCallData.parentOrigin when the host page sets it, else the page that framed us
+  static _parentOrigin() {
+    if (window.mockCallData?.parentOrigin) return window.mockCallData.parentOrigin;
+    try {
+      return document.referrer ? new URL(document.referrer).origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static _priceText(offer) {
+    return CallMeter.formatMoney(Math.round(offer.price * 100), offer.currency || window.mockCallData?.currency || "USD");
+  }
+
+  static handleRemoteEnd(payload) {
+    const remainingMs = this.remainingMs();
+    if (remainingMs === null || remainingMs > this.END_SLACK_MS) {
+      console.warn("[CallSlot] Ignoring slot-end - our slot is not over", { remainingMs, payload });
+      return;
+    }
+    this._endForSlot("peer");
+  }
+
+  /* ====================================================================
+   * _endForSlot(trigger)
+   * ==================================================================== */
+  static _endForSlot(trigger) {
+    if (this._ended) return;
+    this._ended = true;
+    this._stopTick();
+    this._render();
+
+    DebugLogger.addLog("connected", "CRITICAL", "CallSlot._endForSlot", `Time slot is over (${trigger}) - ending call with reason: slot-end`);
+
+    // Both clocks reach endTime on their own - this only covers skew between them
+    if (trigger !== "peer" && window.chimeHandler) {
+      chimeHandler.handleDataSend("slot-end", { endTime: this._slot.endTime });
+    }
+
+    if (CallStateMachine.can("end")) {
+      CallStateMachine.send("end", { reason: "slot-end" });
+    }
+    CallHandler.dipatchUI("ended", "slot-end", {
+      reason: "slot-end",
+      message: "Call ended - the booked time is over",
+    });
+
+    // Deliberate end - chimeHandler must not offer a rejoin for the disconnect that follows
+    if (window.chimeHandler) {
+      chimeHandler._endedReason = "slot-end";
+    }
+    if (typeof coreChime !== "undefined") {
+      coreChime.leave("slot-end");
+    }
+  }
+
+  static _stopTick() {
+    clearInterval(this._tickTimer);
+    this._tickTimer = null;
+  }
+
+  static _isCreator() {
+    if (window.mockCallData?.currentUser?.isCreator === true) return true;
+    // Scheduled links: the host is the creator
+    return window.chimeHandler?._meetingMetadata?.role === "host";
+  }
+
+  // Creator's attendee per the externalUserId Chime stamped on the message
+  // ("<role>-<uid>"), which the sender can't set from the payload
+  static _isFromCreator(from) {
+    const { currentUser, targetUser } = window.mockCallData || {};
+    const creator = currentUser?.isCreator ? currentUser : targetUser?.isCreator ? targetUser : null;
+    if (creator?.userId) return this._senderUserId(from) === String(creator.userId);
+
+    // Scheduled links: the host is the creator
+    return !!window.chimeHandler?._isFromHost(from);
+  }
+
+  static _senderUserId(from) {
+    return String(from?.externalUserId || "").replace(/^(host|collab|attendee)-/, "");
+  }
+
+  /* ====================================================================
+   * _render() - slot label, status pill and the chime-ui::slot banner
+   * ==================================================================== */
+  static _render() {
+    const slot = this._slot;
+    const now = Date.now();
+    const remainingMs = this.remainingMs();
+
+    let status = "";
+    if (slot && now < slot.startTime) {
+      status = `in ${this._formatClock(slot.startTime - now)}`;
+    } else if (slot && this._ended) {
+      status = "Ended";
+    } else if (remainingMs !== null) {
+      status = `${this._formatClock(remainingMs)} left`;
+    } else if (slot) {
+      status = "Live";
+    }
+
+    document.querySelectorAll("[data-meeting-time]").forEach((el) => {
+      if (slot) el.textContent = this.formatRange(slot.startTime, slot.endTime);
+    });
+    document.querySelectorAll("[data-status-text]").forEach((el) => {
+      el.textContent = status;
+    });
+    document.querySelectorAll("[data-status-indicator]").forEach((el) => {
+      el.style.display = slot ? "" : "none";
+    });
+
+    const warning = this.WARNING_MINUTES.filter((minutes) => this._warned.has(minutes)).pop() || null;
+    document.dispatchEvent(
+      new CustomEvent("chime-ui::slot", {
+        detail: {
+          visible: !!warning && this._inMeeting && !this._ended,
+          warning,
+          remaining: remainingMs !== null ? this._formatClock(remainingMs) : "",
+          remainingMs,
+          canExtend: this._isCreator(),
+          extensionMinutes: this.EXTENSION_MINUTES,
+          offers: this._receivedOffers.map((offer) => ({ id: offer.id, minutes: offer.minutes, priceText: this._priceText(offer) })),
+        },
+      })
+    );
+  }
+
+  static formatRange(startTime, endTime) {
+    const time = (ms) =>
+      new Date(ms).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }).replace(/\s/g, "").toLowerCase();
+    const start = new Date(startTime);
+    const day = start.toDateString() === new Date().toDateString()
+      ? ""
+      : `${start.toLocaleDateString([], { month: "short", day: "numeric" })} `;
+    return endTime ? `${day}${time(startTime)}-${time(endTime)}` : `${day}${time(startTime)}`;
+  }
+
+  static _formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+  }
+}
+
+window.CallSlot = CallSlot;
@@ -0,0 +1,219 @@
+/* ========================================================================
+ * callStateMachine.js
+ * Single source of truth for where the one-on-one call flow is.
+ * - Phases: idle -> outgoing | incoming -> accepted -> connecting -> connected -> ended
+ * - Side (caller / callee) is fixed by the event that starts the call
+ *   (dial = caller, ring = callee) and kept until the next call starts
+ * - send(event, context) only applies transitions listed in TRANSITIONS;
+ *   anything else is rejected with a logged reason and returns false, so
+ *   double clicks and late socket events can't move the flow backwards
+ * - send("reset") is always allowed and returns to idle
+ * - onEnter / onExit(phase, fn) run side effects (ring timers, cleanup)
+ * - snapshot() is plain JSON (safe to log, send or store)
+ * ======================================================================== */
+
+class CallStateMachine {
+  static PHASES = {
+    IDLE: "idle",
+    OUTGOING: "outgoing",
+    INCOMING: "incoming",
+    ACCEPTED: "accepted",
+    CONNECTING: "connecting",
+    CONNECTED: "connected",
+    ENDED: "ended",
+  };
+
+  // phase -> { event: nextPhase }
+  static TRANSITIONS = {
+    idle: {
+      dial: "outgoing",
+      ring: "incoming",
+    },
+    outgoing: {
+      accepted: "accepted", // remote accepted
+      declined: "ended", // remote declined
+      timeout: "ended",
+      cancel: "ended", // we hung up while ringing
+      fail: "ended",
+    },
+    incoming: {
+      accept: "accepted",
+      decline: "ended",
+      timeout: "ended",
+      cancelled: "ended", // caller hung up while ringing
+      stop: "ended", // answered / declined on another device
+      fail: "ended",
+    },
+    accepted: {
+      meetingReady: "connecting",
+      cancel: "ended",
+      cancelled: "ended",
+      fail: "ended",
+      end: "ended",
+    },
+    connecting: {
+      connected: "connected",
+      fail: "ended",
+      end: "ended",
+    },
+    connected: {
+      fail: "ended",
+      end: "ended",
+    },
+    ended: {
+      dial: "outgoing",
+      ring: "incoming",
+    },
+  };
+
+  // Events that start a call and fix the side for it
+  static _sideForEvent = { dial: "caller", ring: "callee" };
+
+  // DebugLogger flow per phase (keeps the log colours consistent)
+  static _flowForPhase = {
+    idle: "ready",
+    outgoing: "calling",
+    incoming: "receiving call",
+    accepted: "accepted call",
+    connecting: "connecting",
+    connected: "connected",
+    ended: "terminated",
+  };
+
+  static _historyLimit = 20;
+
+  static _state = {
+    phase: "idle",
+    side: null,
+    callerId: null,
+    calleeId: null,
+    reason: null,
+    since: Date.now(),
+    previous: null,
+  };
+  static _history = [];
+  static _enterHooks = new Map(); // phase | "*" -> Set(fn)
+  static _exitHooks = new Map();
+
+  static get phase() {
+    return this._state.phase;
+  }
+
+  static get side() {
+    return this._state.side;
+  }
+
+  /* ====================================================================
+   * can(event) - true when event is allowed from the current phase
+   * ==================================================================== */
+  static can(event) {
+    const allowed = this.TRANSITIONS[this._state.phase] || {};
+    return Object.prototype.hasOwnProperty.call(allowed, event);
+  }
+
+  /* ====================================================================
+   * send(event, context)
+   * context: { callerId, calleeId, reason } - ids are only taken when a
+   * call starts (dial / ring), reason is kept for the new phase
+   * Returns true when the transition was applied
+   * ==================================================================== */
+  static send(event, context = {}) {
+    const from = this._state.phase;
+
+    if (event === "reset") {
+      this._apply(event, "idle", { ...context, side: null, callerId: null, calleeId: null });
+      return true;
+    }
+
+    if (!this.can(event)) {
+      const reason = `Rejected "${event}" in phase "${from}"${this._state.side ? ` (${this._state.side})` : ""}`;
+      console.warn(`[CallStateMachine] ${reason}`, context);
+      if (typeof DebugLogger !== "undefined") {
+        DebugLogger.addLog(this._flowForPhase[from], "NOTICE", "CallStateMachine.send", reason, {
+          event,
+          context,
+          snapshot: this.snapshot(),
+        });
+      }
+      return false;
+    }
+
+    const to = this.TRANSITIONS[from][event];
+    const next = { ...context };
+    if (this._sideForEvent[event]) {
+      next.side = this._sideForEvent[event];
+    } else {
+      // ids belong to the call in progress - later events can't rewrite them
+      delete next.callerId;
+      delete next.calleeId;
+    }
+    this._apply(event, to, next);
+    return true;
+  }
+
+  static _apply(event, to, context) {
+    const from = this._state.phase;
+    const now = Date.now();
+
+    this._runHooks(this._exitHooks, from, { from, to, event });
+
+    this._state = {
+      phase: to,
+      side: context.side !== undefined ? context.side : this._state.side,
+      callerId: context.callerId !== undefined ? context.callerId : this._state.callerId,
+      calleeId: context.calleeId !== undefined ? context.calleeId : this._state.calleeId,
+      reason: context.reason || null,
+      since: now,
+      previous: from,
+    };
+
+    this._history.push({ from, to, event, at: now });
+    if (this._history.length > this._historyLimit) this._history.shift();
+
+    console.log(`[CallStateMachine] ${from} --${event}--> ${to}`, this._state);
+
+    this._runHooks(this._enterHooks, to, { from, to, event });
+  }
+
+  static _runHooks(hooks, phase, transition) {
+    [phase, "*"].forEach((key) => {
+      hooks.get(key)?.forEach((fn) => {
+        try {
+          fn(transition, this.snapshot());
+        } catch (error) {
+          console.error(`[CallStateMachine] Hook for ${key} threw:`, error);
+        }
+      });
+    });
+  }
+
+  /* ====================================================================
+   * onEnter / onExit(phase, fn) - phase "*" runs on every transition
+   * fn({ from, to, event }, snapshot); returns an unsubscribe function
+   * ==================================================================== */
+  static onEnter(phase, fn) {
+    return this._addHook(this._enterHooks, phase, fn);
+  }
+
+  static onExit(phase, fn) {
+    return this._addHook(this._exitHooks, phase, fn);
+  }
+
+  static _addHook(hooks, phase, fn) {
+    if (!hooks.has(phase)) hooks.set(phase, new Set());
+    hooks.get(phase).add(fn);
+    return () => hooks.get(phase).delete(fn);
+  }
+
+  /* ====================================================================
+   * snapshot() - serializable copy of the current state
+   * ==================================================================== */
+  static snapshot() {
+    return {
+      ...this._state,
+      history: this._history.map((entry) => ({ ...entry })),
+    };
+  }
+}
+
+window.CallStateMachine = CallStateMachine;
@@ -11,7 +11,7 @@ window.chatMessageStore = window.chatMessageStore || [];
   
   window.addEventListener('receiveChatMessage', (e) => {
     console.log('[chatHandler] 📨 [Global] Received chat message event:', e.detail);
-    const { message, sender, isSelf } = e.detail || {};
+    const { message, sender, isSelf, messageId } = e.detail || {};
     
     if (message) {
       // Skip self messages - they're already rendered when sent
@@ -23,10 +23,13 @@ window.chatMessageStore = window.chatMessageStore || [];
       const timestamp = e.detail.timestamp || Date.now();
       
       // Check for duplicates - don't store if message already exists
+      // Reliable messages carry an id; fall back to text + time for older senders
       const isDuplicate = window.chatMessageStore.some(stored => 
-        stored.message === message && 
-        stored.sender === (sender || 'Unknown') && 
-        Math.abs(stored.timestamp - timestamp) < 1000 // Within 1 second
+        messageId
+          ? stored.messageId === messageId
+          : stored.message === message && 
+            stored.sender === (sender || 'Unknown') && 
+            Math.abs(stored.timestamp - timestamp) < 1000 // Within 1 second
       );
       
       if (isDuplicate) {
@@ -39,7 +42,8 @@ window.chatMessageStore = window.chatMessageStore || [];
         message: message,
         sender: sender || 'Unknown',
         isSelf: isSelf === true,
-        timestamp: timestamp
+        timestamp: timestamp,
+        messageId: messageId || null
       };
       
       window.chatMessageStore.push(messageData);
@@ -763,6 +767,45 @@ function renderSubscriptionCard(item) {
   return cardDiv;
 }
 
+function renderExtensionCard(item) {
+  const cardDiv = document.createElement("div");
+  cardDiv.className = "mt-2";
+
+  cardDiv.innerHTML = `
+    <div class="border-l-2 border-[#FF0066] bg-gradient-pink p-[0.75rem] overflow-hidden">
+      <div class="flex items-center gap-1">
+        <span>
+          <img src="https://new-stage.fansocial.app/wp-content/plugins/fansocial/dev/chimenew/assets/svgs/star-07-pink.svg" alt="" class="w-[16px] h-[16px] aspect-[344/198.16]">
+        </span>
+        <span class="text-[#FB5BA2] text-[14px] leading-[1.25rem] italic font-bold">${escapeHtml(item.creator?.username || 'Creator')}</span>
+        <span class="text-[14px] text-[#D0D5DD] leading-[1.25rem] italic">offers more time:</span>
+      </div>
+      <div class="py-2 px-1">
+        <div class="text-white font-medium text-base">Keep talking for ${escapeHtml(String(item.minutes))} more minutes</div>
+        <div class="flex w-full gap-2 mt-3">
+          <button data-extension-button type="button" class="text-base w-full bg-[#0133FB] text-white font-medium px-2 py-1 flex items-center justify-between">
+            <span class="text-white font-medium">+${escapeHtml(String(item.minutes))} min</span>
+            <span class="text-white font-medium">${escapeHtml(item.priceText || money(item.price))}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Checkout runs in the parent page - CallSlot posts chime-card-extension and
+  // extends the call for both sides once the purchase is confirmed
+  const extensionButton = cardDiv.querySelector("[data-extension-button]");
+  if (extensionButton) {
+    extensionButton.addEventListener("click", () => {
+      if (window.CallSlot) {
+        window.CallSlot.buyExtension(item.id);
+      }
+    });
+  }
+
+  return cardDiv;
+}
+
 // Listen for ingest-cards event (from local component)
 window.addEventListener('ingest-cards', (e) => {
   console.log('[chatHandler] 🎴 ingest-cards event received:', e.detail);
@@ -790,6 +833,9 @@ window.addEventListener('ingest-cards', (e) => {
       case "subs":
         cardElement = renderSubscriptionCard(item);
         break;
+      case "extension":
+        cardElement = renderExtensionCard(item);
+        break;
       default:
         console.warn('[chatHandler] Unknown card scope:', scope);
         return;
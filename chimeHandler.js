@@ -26,11 +26,44 @@ class chimeHandler {
   // Current user's role (extracted from meetingInfo)
   static _currentUserRole = null;
 
-  // Lambda API endpoints
-  static _scyllaDatabaseEndpoint =
-    "https://fns5h6php6v5qalzaoxmcq532y0dzrro.lambda-url.ap-northeast-1.on.aws/";
-  static _chimeMeetingEndpoint =
-    "https://huugn2oais26si45yoqoui6byu0iqhtl.lambda-url.ap-northeast-1.on.aws/";
+  // Content share tile currently shown in #content-container (null = none)
+  static _contentTileId = null;
+
+  // Flags sent over the acknowledged, ordered data channel (must not be lost)
+  static _reliableFlags = [
+    "chat",
+    "gift",
+    "tip",
+    "spotlight",
+    "host-mute",
+    "host-mute-all",
+    "host-request-unmute",
+    "host-request-video",
+    "host-stop-video",
+    "host-remove",
+    "host-ended",
+    "meeting-full",
+    "media-change-request",
+    "media-change-response",
+    "media-change",
+    "slot-extend",
+    "slot-end",
+    "extension-offer",
+  ];
+
+  // Audio <-> video switch: upgrade waits for the other side's consent
+  static _pendingMediaChange = null; // { requestId, to, timer }
+  static _incomingMediaChange = null; // { requestId, from, timer } while our prompt is open
+  static _acceptedMediaChangeId = null; // upgrade we accepted, applied on the requester's confirm
+  static _mediaChangePolicy = { responseTimeoutMs: 30000 };
+
+  // "removed" | "host-ended" | "meeting-full" | "grace-end" | "slot-end" | "user-ended" once the call ended on purpose - the disconnect
+  // that follows must not offer rejoin ("ended" state is already dispatched)
+  static _endedReason = null;
+
+  // Scheduled meeting lobby: countdown until startTime, then auto-join
+  static _lobbyTimer = null;
+  static _lobbyStartTime = null;
 
   // Private class variables
   static _meetingSession = null;
@@ -96,6 +129,15 @@ class chimeHandler {
       saveCollabs: document.getElementById("btn-save-collabs"),
       hostCandidate: document.getElementById("select-host-candidate"),
       collabsInput: document.getElementById("input-collabs"),
+      moderationTarget: document.getElementById("select-moderation-target"),
+      modMute: document.getElementById("btn-mod-mute"),
+      modRequestVideo: document.getElementById("btn-mod-request-video"),
+      modStopVideo: document.getElementById("btn-mod-stop-video"),
+      modRemove: document.getElementById("btn-mod-remove"),
+
+      // Call media (audio <-> video)
+      switchToVideo: document.getElementById("btn-switch-to-video"),
+      switchToAudio: document.getElementById("btn-switch-to-audio"),
 
       // Status displays
       uiStatus: document.getElementById("ui-status"),
@@ -186,28 +228,44 @@ class chimeHandler {
     // Host controls
     this._ui.muteAll?.addEventListener("click", () => {
       console.log("[chimeHandler] Mute All clicked");
-      DebugLogger.addLog(
-        "ready",
-        "NOTICE",
-        "_wireUIEvents",
-        "Mute All feature - to be implemented"
-      );
+      this.handleModeration("host-mute-all");
     });
 
+    // Nobody can be unmuted remotely - everyone is asked instead
     this._ui.unmuteAll?.addEventListener("click", () => {
       console.log("[chimeHandler] Unmute All clicked");
-      DebugLogger.addLog(
-        "ready",
-        "NOTICE",
-        "_wireUIEvents",
-        "Unmute All feature - to be implemented"
-      );
+      this.handleModeration("host-request-unmute");
+    });
+
+    // Per-participant moderation (target picked in select-moderation-target)
+    [
+      [this._ui.modMute, "host-mute"],
+      [this._ui.modRequestVideo, "host-request-video"],
+      [this._ui.modStopVideo, "host-stop-video"],
+      [this._ui.modRemove, "host-remove"],
+    ].forEach(([button, flag]) => {
+      button?.addEventListener("click", () => {
+        const attendeeId = this._ui.moderationTarget?.value;
+        if (!attendeeId) {
+          alert("Select a participant first.");
+          return;
+        }
+        this.handleModeration(flag, attendeeId);
+      });
     });
 
     this._ui.endForAll?.addEventListener("click", () => {
       this.handleEndForAll();
     });
 
+    this._ui.switchToVideo?.addEventListener("click", () => {
+      this.requestMediaChange("video");
+    });
+
+    this._ui.switchToAudio?.addEventListener("click", () => {
+      this.requestMediaChange("audio");
+    });
+
     this._ui.setMaxAttendees?.addEventListener("click", () => {
       const max = prompt("Enter max attendees:");
       if (max && !isNaN(max)) {
@@ -238,6 +296,7 @@ class chimeHandler {
       const { attendeeId, externalUserId, connectionId } = e.detail;
       console.log("[chimeHandler] Connected event received", e.detail);
       this._updateStatus(`Connected! Attendee ID: ${attendeeId}`);
+      this._endedReason = null;
 
       // Show alert to user (only once)
       if (!this._hasShownConnectedAlert) {
@@ -292,17 +351,34 @@ class chimeHandler {
     });
 
     window.addEventListener("coreChime:disconnected", (e) => {
-      const { reason } = e.detail;
+      const { reason, meetingEnded, removed } = e.detail;
       this._updateStatus(`Disconnected: ${reason}`);
 
+      if (this._pendingMediaChange) {
+        clearTimeout(this._pendingMediaChange.timer);
+        this._pendingMediaChange = null;
+      }
+      this._closeMediaChangePrompt();
+      this._acceptedMediaChangeId = null;
+
+      // Meeting deleted server-side but the host-ended flag never reached us
+      if (meetingEnded && !this._endedReason) {
+        this._endCallForHostEnded();
+      }
+
+      // Attendee deleted server-side but the host-remove hint never reached us
+      if (removed && !this._endedReason) {
+        this._endCallForRemoved();
+      }
+
       // Store meeting info for rejoin
       const localIds = coreChime.getLocalIdentifiers();
       const meetingInfo = coreChime.getMeetingInfo();
       const attendeeInfo = coreChime.getAttendeeInfo();
       
-      // Dispatch network issue state
+      // Dispatch network issue state (a deliberate end already dispatched "ended")
       try {
-        if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+        if (!this._endedReason && typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
           CallHandler.dipatchUI("shared:networkIssue", "none", { reason });
         }
       } catch (err) {
@@ -310,7 +386,7 @@ class chimeHandler {
       }
       
       // Show alert with rejoin option
-      const shouldRejoin = confirm(
+      const shouldRejoin = !this._endedReason && confirm(
         "❌ Disconnected from meeting\n\n" +
         "Reason: " + reason + "\n\n" +
         "Would you like to rejoin the meeting?"
@@ -369,6 +445,14 @@ class chimeHandler {
             alert("❌ Failed to rejoin meeting: " + err.message);
           }
         }, 1000);
+      } else if (this._endedReason) {
+        DebugLogger.addLog(
+          "terminated",
+          "NOTICE",
+          "coreChime:disconnected",
+          this._endedReason === "removed" ? "Removed from meeting by host" : "Meeting ended by host",
+          { reason }
+        );
       } else {
         // User declined to rejoin or no meeting info available
         DebugLogger.addLog(
@@ -399,6 +483,37 @@ class chimeHandler {
       }
     });
 
+    // coreChime retries transient drops itself; the UI substate is owned by CallHandler
+    window.addEventListener("coreChime:reconnecting", (e) => {
+      const { attempt, maxAttempts, reason } = e.detail;
+      this._updateStatus(
+        attempt ? `Reconnecting (${attempt}/${maxAttempts})...` : "Reconnecting..."
+      );
+      DebugLogger.addLog(
+        "connecting",
+        "NOTICE",
+        "coreChime:reconnecting",
+        `Reconnecting to meeting (attempt ${attempt || "sdk"})`,
+        { reason }
+      );
+    });
+
+    window.addEventListener("coreChime:reconnected", (e) => {
+      const { attendeeId, externalUserId, attempts } = e.detail;
+      this._updateStatus("Reconnected");
+      DebugLogger.addLog(
+        "connected",
+        "NOTICE",
+        "coreChime:reconnected",
+        `Reconnected to meeting after ${attempts} attempt(s)`
+      );
+
+      // New session = new tiles on the remote side; re-announce who we are
+      if (attendeeId) {
+        this._sendMappingPacket(attendeeId, externalUserId);
+      }
+    });
+
     window.addEventListener("coreChime:attendee-joined", (e) => {
       const { attendeeId, externalUserId } = e.detail;
       console.log("[chimeHandler] Attendee joined", {
@@ -493,6 +608,32 @@ class chimeHandler {
       );
 
       this._mappingCache.delete(attendeeId);
+      this._refreshModerationTargets();
+    });
+
+    // Live count against the scheduled meeting cap (host controls)
+    window.addEventListener("coreChime:attendee-count-changed", (e) => {
+      const { count, max } = e.detail;
+      if (this._ui.labelParticipantCount) {
+        this._ui.labelParticipantCount.textContent = count.toString();
+        this._ui.labelParticipantCount.style.color = max && count >= max ? "#dc2626" : "";
+      }
+      if (this._ui.labelMaxParticipants) {
+        this._ui.labelMaxParticipants.textContent = max ? max.toString() : "-";
+      }
+    });
+
+    // Someone joined over the cap - the host sends them away
+    window.addEventListener("coreChime:capacity-exceeded", (e) => {
+      const { attendeeId, count, max } = e.detail;
+      if (this._currentUserRole !== "host") return;
+
+      DebugLogger.addLog("connected", "NOTICE", "coreChime:capacity-exceeded", `Over capacity (${count}/${max}) - turning away ${attendeeId}`);
+
+      // After our mapping packet (sent 1s after their join) so they can verify we're host
+      setTimeout(() => {
+        this.handleDataSend("meeting-full", { target: attendeeId, count, max });
+      }, 1500);
     });
 
     window.addEventListener("coreChime:tile-updated", (e) => {
@@ -521,9 +662,9 @@ class chimeHandler {
         });
       }
 
-      // Skip content share tiles
+      // Content share tiles go to the dedicated content container
       if (isContent) {
-        console.log("[chimeHandler] Skipping content share tile");
+        this._showContentTile(tileId, boundAttendeeId, hasStream);
         return;
       }
 
@@ -957,6 +1098,11 @@ class chimeHandler {
     window.addEventListener("coreChime:tile-removed", (e) => {
       const { tileId } = e.detail;
       console.log("[chimeHandler] Tile removed event (disconnect/leave):", tileId);
+
+      if (tileId === this._contentTileId) {
+        this._removeContentTile();
+        return;
+      }
       
       // Find the video element for this tile
       const video = document.querySelector(`video[data-tile-id="${tileId}"]`);
@@ -989,19 +1135,104 @@ class chimeHandler {
       
       // Update debug overlay and status icons with audio status
       if (attendeeId) {
-        this._updateDebugOverlay(attendeeId, { 
-          audioEnabled: !muted,
-          connectionStrength: signalStrength > 0.5 ? 'Good' : signalStrength > 0.2 ? 'Fair' : 'Poor'
-        });
+        // connectionStrength comes from coreChime:quality-changed (real metrics)
+        this._updateDebugOverlay(attendeeId, { audioEnabled: !muted });
         this._updateStatusIcons(attendeeId, { audioEnabled: !muted }); // Update mic icon
       }
     });
 
+    // Speaking ring per tile (coreChime active-speaker policy)
+    window.addEventListener("coreChime:speaking-changed", (e) => {
+      const { attendeeId, speaking } = e.detail;
+      this._updateStatusIcons(attendeeId, { speaking });
+    });
+
+    // Active speaker - main tile in speaker/sidebar group layouts
+    window.addEventListener("coreChime:active-speaker-changed", (e) => {
+      const { attendeeId, isLocal } = e.detail;
+      console.log("[chimeHandler] Active speaker changed", e.detail);
+
+      // Never promote ourselves - we always see our own tile small
+      if (typeof LayoutEngine !== "undefined" && !isLocal) {
+        LayoutEngine.setActiveSpeaker(attendeeId);
+      }
+    });
+
+    // Listen for call-quality level changes (SDK metrics report)
+    // Local overlay shows the overall network grade, remote overlays the
+    // grade of the stream we receive from that attendee
+    window.addEventListener("coreChime:quality-changed", (e) => {
+      const { level, attendeeId, video } = e.detail;
+      console.log("[chimeHandler] Quality changed", e.detail);
+
+      const toStrength = (grade) =>
+        grade === "good" ? "Good" : grade === "fair" ? "Fair" : "Poor";
+
+      if (attendeeId) {
+        this._updateDebugOverlay(attendeeId, { connectionStrength: toStrength(level) });
+      }
+
+      (video?.tiles || []).forEach((tile) => {
+        if (tile.isLocal || tile.isContent || !tile.attendeeId) return;
+        this._updateDebugOverlay(tile.attendeeId, { connectionStrength: toStrength(tile.level) });
+      });
+    });
+
     window.addEventListener("coreChime:data-received", (e) => {
       const { flag, payload, from } = e.detail;
       this.handleDataReceive(flag, payload, from);
     });
 
+    window.addEventListener("coreChime:data-undelivered", (e) => {
+      const { id, flag, missing } = e.detail;
+      console.warn("[chimeHandler] Message not acknowledged", e.detail);
+      DebugLogger.addLog("connected", "CRITICAL", "coreChime:data-undelivered", `"${flag}" message was not delivered`, {
+        id,
+        missing,
+      });
+    });
+
+    // Oversized payloads (promo bundles, attachments) arrive in chunks
+    window.addEventListener("coreChime:data-transfer-progress", (e) => {
+      const { transferId, flag, direction, completed, total } = e.detail;
+      console.log(`[chimeHandler] Transfer ${transferId} (${flag}, ${direction}): ${completed}/${total}`);
+    });
+
+    window.addEventListener("coreChime:data-transfer-failed", (e) => {
+      const { transferId, flag, direction } = e.detail;
+      console.warn("[chimeHandler] Transfer failed", e.detail);
+      DebugLogger.addLog("connected", "CRITICAL", "coreChime:data-transfer-failed", `Large "${flag}" message failed to ${direction}`, {
+        transferId,
+      });
+    });
+
+    // Local content share state drives the share button
+    window.addEventListener("coreChime:content-share-started", () => {
+      if (window.settings) {
+        window.settings.callShareStatus = true;
+      }
+      DebugLogger.addLog("connected", "NOTICE", "coreChime:content-share-started", "Screen share started");
+    });
+
+    window.addEventListener("coreChime:content-share-stopped", () => {
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+      DebugLogger.addLog("connected", "NOTICE", "coreChime:content-share-stopped", "Screen share stopped");
+    });
+
+    window.addEventListener("coreChime:content-share-failed", (e) => {
+      const { reason } = e.detail;
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+      // Dismissing the browser picker is not an error worth alerting
+      if (reason !== "cancelled") {
+        DebugLogger.addLog("connected", "CRITICAL", "coreChime:content-share-failed", `Screen share failed: ${reason}`);
+        alert("❌ Could not start screen share: " + reason);
+      }
+    });
+
     console.log("[chimeHandler] [_wireCoreChimeEvents] Complete");
   }
 
@@ -1107,6 +1338,7 @@ class chimeHandler {
         if (window.settings) {
           window.settings.callCamStatus = false;
           window.settings.callMicStatus = false;
+          window.settings.callMediaType = mediaType;
         }
         
         console.log("[chimeHandler] ✅ Joined with media OFF - user must manually turn ON video/audio");
@@ -1182,6 +1414,22 @@ class chimeHandler {
         console.warn("[chimeHandler] labelMeetingType UI element not found!");
       }
 
+      // Scheduled links carry the call type - capacity checks read it from mockCallData
+      if (this._meetingMetadata.callType && window.mockCallData) {
+        window.mockCallData.callType = this._meetingMetadata.callType;
+        window.mockCallData.currentUserRole = this._currentUserRole;
+      }
+
+      // Slot label / countdown / auto-end - the lobby below only covers the wait for startTime
+      if (this._meetingMetadata.startTime) {
+        CallSlot.setSlot({
+          startTime: this._meetingMetadata.startTime,
+          endTime: this._meetingMetadata.endTime,
+        });
+        this._openLobby(this._meetingMetadata.startTime);
+        return;
+      }
+
       this._updateStatus('Meeting info loaded. Click "Join Meeting" to start.');
     } catch (error) {
       console.error("[chimeHandler] Error parsing meetingInfo:", error);
@@ -1189,6 +1437,76 @@ class chimeHandler {
     }
   }
 
+  /* ====================================================================
+   * _openLobby(startTime)
+   * Scheduled meeting opened early: hold everyone in the lobby and join
+   * automatically at startTime. Already started -> join right away.
+   * ==================================================================== */
+  static _openLobby(startTime) {
+    const startMs = new Date(startTime).getTime();
+    if (Number.isNaN(startMs)) {
+      console.warn("[chimeHandler] Invalid startTime in meetingInfo:", startTime);
+      this._updateStatus('Meeting info loaded. Click "Join Meeting" to start.');
+      return;
+    }
+
+    this._closeLobby();
+
+    if (Date.now() >= startMs) {
+      DebugLogger.addLog("setuping up", "NOTICE", "_openLobby", "Scheduled meeting already started - joining");
+      this.handleJoin({ enableAudio: true, enableVideo: true });
+      return;
+    }
+
+    this._lobbyStartTime = startMs;
+    DebugLogger.addLog("setuping up", "NOTICE", "_openLobby", `Lobby open until ${new Date(startMs).toLocaleString()}`);
+
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("shared:lobby", "none", {
+        meetingId: this._meetingMetadata?.MeetingId,
+        startTime: startMs,
+      });
+    }
+
+    // Tick every second: keeps the countdown fresh and avoids the
+    // setTimeout ceiling (~24.8 days) for meetings booked far ahead
+    const tick = () => {
+      const remainingMs = startMs - Date.now();
+      if (remainingMs <= 0) {
+        this._closeLobby();
+        DebugLogger.addLog("connected", "NOTICE", "_openLobby", "Scheduled start time reached - joining");
+        this.handleJoin({ enableAudio: true, enableVideo: true });
+        return;
+      }
+
+      const countdown = this._formatCountdown(remainingMs);
+      this._updateStatus(`Meeting starts in ${countdown}`);
+      const label = document.getElementById("label-lobby-countdown");
+      if (label) label.textContent = countdown;
+    };
+
+    tick();
+    this._lobbyTimer = setInterval(tick, 1000);
+  }
+
+  static _closeLobby() {
+    if (this._lobbyTimer) {
+      clearInterval(this._lobbyTimer);
+      this._lobbyTimer = null;
+    }
+    this._lobbyStartTime = null;
+  }
+
+  static _formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const clock = [hours, minutes, seconds].map((n) => String(n).padStart(2, "0")).join(":");
+    return days > 0 ? `${days}d ${clock}` : clock;
+  }
+
   /* ====================================================================
    * handleJoin(opts)
    * Prepares required permissions + policies before calling coreChime.join
@@ -1196,6 +1514,17 @@ class chimeHandler {
   static async handleJoin(opts) {
     console.log("[chimeHandler] [handleJoin]", opts);
 
+    // Scheduled meetings: the lobby joins automatically at start time
+    if (this._lobbyTimer && Date.now() < this._lobbyStartTime) {
+      DebugLogger.addLog(
+        "setuping up",
+        "NOTICE",
+        "handleJoin",
+        `Meeting has not started yet (starts ${new Date(this._lobbyStartTime).toLocaleString()})`
+      );
+      return;
+    }
+
     // Check if we have meetingInfo
     if (!this._meetingMetadata) {
       DebugLogger.addLog(
@@ -1331,6 +1660,13 @@ class chimeHandler {
       console.log("[chimeHandler] Transformed meetingInfo:", meetingInfo);
       console.log("[chimeHandler] Transformed attendeeInfo:", attendeeInfo);
 
+      // Scheduled meetings: check the cap before taking a Chime slot
+      const capacity = await this._checkMeetingCapacity(meetingInfo.Meeting?.MeetingId);
+      if (capacity?.full) {
+        this._showMeetingFull(capacity);
+        return;
+      }
+
       // Initialize coreChime
       await coreChime.initialize({
         meetingInfo: meetingInfo,
@@ -1341,6 +1677,11 @@ class chimeHandler {
       // Join
       await coreChime.join(opts);
 
+      // Host enforces the stored cap on anyone who gets past the pre-join check
+      if (capacity?.maxAttendees) {
+        this.setMaxAttendeesForScheduled(capacity.maxAttendees, { persist: false });
+      }
+
       console.log("[chimeHandler] [_executeJoin] Complete");
     } catch (error) {
       console.error("[chimeHandler] [_executeJoin] Error:", error);
@@ -1556,7 +1897,7 @@ class chimeHandler {
       console.log("[chimeHandler] Video toggle blocked: audio-only call");
       DebugLogger.addLog("connected", "NOTICE", "handleVideoToggle", 
         "Video toggle blocked during audio-only call");
-      alert("❌ Video is not available in audio-only calls");
+      alert("❌ Video is not available in audio-only calls - ask to switch the call to video first");
       return;
     }
 
@@ -1640,6 +1981,55 @@ class chimeHandler {
     }
   }
 
+  /* ====================================================================
+   * handleContentShareToggle(on)
+   * Starts/stops sharing a screen, window or tab
+   * ==================================================================== */
+  static async handleContentShareToggle(on) {
+    console.log("[chimeHandler] [handleContentShareToggle] Called with:", on);
+
+    const isInChimeCall = coreChime && coreChime._meetingSession && coreChime._audioVideo;
+    if (!isInChimeCall) {
+      console.warn("[chimeHandler] [handleContentShareToggle] Not in a chime call");
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+      return;
+    }
+
+    // Sharing is media too - blocked while in grace like camera/mic
+    if (on && window.mockCallData?.isInGrace) {
+      console.log("[chimeHandler] Content share blocked: grace period active");
+      DebugLogger.addLog("connected", "NOTICE", "handleContentShareToggle",
+        "Screen share blocked during grace period");
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+      return;
+    }
+
+    // Only one presenter at a time
+    if (on && this._contentTileId !== null && !coreChime.isContentSharing()) {
+      alert("⚠️ Someone else is already sharing their screen.");
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+      return;
+    }
+
+    if (on) {
+      const started = await coreChime.startContentShare();
+      if (window.settings) {
+        window.settings.callShareStatus = started;
+      }
+    } else {
+      await coreChime.stopContentShare();
+      if (window.settings) {
+        window.settings.callShareStatus = false;
+      }
+    }
+  }
+
   /* ====================================================================
    * handleDataSend(flag, payload)
    * ==================================================================== */
@@ -1647,7 +2037,7 @@ class chimeHandler {
     console.log("[chimeHandler] [handleDataSend]", { flag, payload });
 
     // Send via Chime
-    coreChime.sendData(flag, payload);
+    coreChime.sendData(flag, payload, { reliable: this._reliableFlags.includes(flag) });
 
     // Show alert for each action type
     switch (flag) {
@@ -1691,6 +2081,35 @@ class chimeHandler {
           `Promo chat sent: ${payload.text || "promo"}`
         );
         break;
+      case "recording":
+        DebugLogger.addLog(
+          "connected",
+          "NOTICE",
+          "handleDataSend",
+          `Recording ${payload.active ? "started" : "stopped"} notice sent`
+        );
+        break;
+      case "spotlight":
+        DebugLogger.addLog(
+          "connected",
+          "NOTICE",
+          "handleDataSend",
+          payload.attendeeId ? `Spotlight set: ${payload.attendeeId}` : "Spotlight cleared"
+        );
+        break;
+      case "host-mute":
+      case "host-mute-all":
+      case "host-request-unmute":
+      case "host-request-video":
+      case "host-stop-video":
+      case "host-remove":
+        DebugLogger.addLog(
+          "connected",
+          "NOTICE",
+          "handleDataSend",
+          `Moderation sent: ${flag} → ${payload.target}`
+        );
+        break;
       default:
         DebugLogger.addLog(
           "connected",
@@ -1745,6 +2164,44 @@ class chimeHandler {
       case "chatPromo":
         this.handleIncomingChatPromoBubble(payload, from);
         break;
+      case "recording":
+        this.handleIncomingRecording(payload, from);
+        break;
+      case "spotlight":
+        this.handleIncomingSpotlight(payload, from);
+        break;
+      case "host-mute":
+      case "host-mute-all":
+      case "host-request-unmute":
+      case "host-request-video":
+      case "host-stop-video":
+      case "host-remove":
+        this.handleIncomingModeration(flag, payload, from);
+        break;
+      case "host-ended":
+        this.handleIncomingHostEnded(payload, from);
+        break;
+      case "meeting-full":
+        this.handleIncomingMeetingFull(payload, from);
+        break;
+      case "media-change-request":
+        this.handleIncomingMediaChangeRequest(payload, from);
+        break;
+      case "media-change-response":
+        this.handleIncomingMediaChangeResponse(payload, from);
+        break;
+      case "media-change":
+        this.handleIncomingMediaChange(payload, from);
+        break;
+      case "slot-extend":
+        CallSlot.handleRemoteExtend(payload, from);
+        break;
+      case "slot-end":
+        CallSlot.handleRemoteEnd(payload);
+        break;
+      case "extension-offer":
+        CallSlot.handleRemoteOffer(payload, from);
+        break;
       default:
         console.warn("[chimeHandler] Unknown data flag:", flag);
     }
@@ -1828,11 +2285,10 @@ class chimeHandler {
    * - Attendee sees Host
    * - Simple 1:1 mapping
    * 
-   * TODO: GROUP CALL LOGIC GOES HERE
-   * For group calls, will need:
-   * - handleGroupMapping() for multi-participant logic
-   * - Different visibility rules for host/collaborator/attendee
-   * - Dynamic container allocation for 3+ participants
+   * For GROUP calls the same mapping drives everything:
+   * - Visibility rules for host/collaborator/attendee (_shouldShowVideo)
+   * - Collaborator containers allocated on demand (UiMapTileToCard)
+   * - Tile placement for N participants (LayoutEngine via autoLayout)
    * ==================================================================== */
   static handleIncomingMapping(payload, from) {
     // Get our own attendee ID
@@ -1869,11 +2325,20 @@ class chimeHandler {
       }
     );
 
+    this._refreshModerationTargets();
+
     // Refresh video tiles to re-evaluate visibility with new mapping
     this._refreshVideoTilesForAttendee(from.attendeeId);
 
     // Clean up any inactive containers
     this._cleanupInactiveContainers();
+
+    // Late joiners need the host's current spotlight
+    const spotlightAttendeeId =
+      typeof LayoutEngine !== "undefined" ? LayoutEngine.getState().spotlightAttendeeId : null;
+    if (this._currentUserRole === "host" && spotlightAttendeeId) {
+      this.handleDataSend("spotlight", { attendeeId: spotlightAttendeeId, target: from.attendeeId });
+    }
   }
 
   static handleIncomingReaction(payload, from) {
@@ -1958,6 +2423,7 @@ class chimeHandler {
         message: payload.message || payload.text,
         sender: from.externalUserId || 'Unknown',
         timestamp: payload.timestamp,
+        messageId: from.messageId || null,
         from: from
       }
     }));
@@ -1982,33 +2448,562 @@ class chimeHandler {
     }
   }
 
+  static handleIncomingRecording(payload, from) {
+    const sender = this._mappingCache.get(from.attendeeId)?.displayName || from.externalUserId || "Unknown";
+
+    DebugLogger.addLog(
+      "connected",
+      "NOTICE",
+      "handleIncomingRecording",
+      `${sender} ${payload.active ? "started" : "stopped"} recording (${payload.mode || "self"})`
+    );
+
+    // Dispatch event for recordingHandler to show/hide the consent banner
+    window.dispatchEvent(
+      new CustomEvent("receiveRecordingState", {
+        detail: {
+          active: !!payload.active,
+          mode: payload.mode || "self",
+          sender: sender,
+          timestamp: payload.timestamp || Date.now()
+        }
+      })
+    );
+  }
+
+  /* ====================================================================
+   * handleIncomingSpotlight - Host spotlighted a tile for everyone
+   * ==================================================================== */
+  static handleIncomingSpotlight(payload, from) {
+    if (!this._isFromHost(from)) {
+      console.warn("[chimeHandler] Ignoring spotlight from non-host", from.attendeeId);
+      return;
+    }
+
+    DebugLogger.addLog(
+      "connected",
+      "NOTICE",
+      "handleIncomingSpotlight",
+      payload.attendeeId ? `Host spotlighted ${payload.attendeeId}` : "Host cleared spotlight"
+    );
+    LayoutEngine.spotlight(payload.attendeeId || null);
+  }
+
+  /* ====================================================================
+   * handleSpotlight(attendeeId) - Host only; null clears the spotlight
+   * Spotlighted tile is the main tile for every participant
+   * ==================================================================== */
+  static handleSpotlight(attendeeId) {
+    console.log("[chimeHandler] [handleSpotlight]", attendeeId);
+    if (this._currentUserRole !== "host") {
+      DebugLogger.addLog("connected", "NOTICE", "handleSpotlight", "Only the host can spotlight a participant");
+      return;
+    }
+
+    LayoutEngine.spotlight(attendeeId || null);
+    this.handleDataSend("spotlight", { attendeeId: attendeeId || null, target: "all" });
+  }
+
+  /* ====================================================================
+   * handleModeration(flag, attendeeId) - Host only
+   * host-mute / host-request-video / host-stop-video / host-remove need a
+   * target attendeeId; host-mute-all / host-request-unmute go to everyone
+   * ==================================================================== */
+  static async handleModeration(flag, attendeeId = null) {
+    console.log("[chimeHandler] [handleModeration]", { flag, attendeeId });
+    if (this._currentUserRole !== "host") {
+      DebugLogger.addLog("connected", "NOTICE", "handleModeration", "Only the host can moderate participants");
+      return;
+    }
+
+    const broadcast = flag === "host-mute-all" || flag === "host-request-unmute";
+    if (!broadcast && !attendeeId) {
+      console.warn("[chimeHandler] [handleModeration] No target for", flag);
+      return;
+    }
+
+    if (flag === "host-remove") {
+      const name = this._mappingCache.get(attendeeId)?.displayName || attendeeId;
+      if (!confirm(`Remove ${name} from the call?`)) return;
+    }
+
+    this.handleDataSend(flag, {
+      target: broadcast ? "all" : attendeeId,
+      timestamp: Date.now(),
+    });
+
+    // The data message only tells them why - the meeting API is what removes them
+    if (flag === "host-remove") {
+      const meetingId = coreChime.getMeetingInfo()?.Meeting?.MeetingId;
+      try {
+        await this.deleteChimeAttendee(meetingId, attendeeId);
+      } catch (error) {
+        DebugLogger.addLog("connected", "CRITICAL", "handleModeration", `Could not remove ${attendeeId}: ${error.message}`, {
+          meetingId,
+          attendeeId,
+        });
+      }
+    }
+  }
+
+  /* ====================================================================
+   * handleIncomingModeration(flag, payload, from)
+   * Acts only when _mappingCache has the sender's role as host
+   * ==================================================================== */
+  static handleIncomingModeration(flag, payload, from) {
+    if (!this._isFromHost(from)) {
+      console.warn(`[chimeHandler] Ignoring ${flag} from non-host`, from.attendeeId);
+      DebugLogger.addLog("connected", "CRITICAL", "handleIncomingModeration", `Rejected ${flag} from non-host`, {
+        attendeeId: from.attendeeId,
+      });
+      return;
+    }
+
+    // Host controls apply to everyone else, never to the host
+    if (this._currentUserRole === "host") return;
+
+    DebugLogger.addLog("connected", "NOTICE", "handleIncomingModeration", `Host moderation: ${flag}`);
+
+    switch (flag) {
+      case "host-mute":
+      case "host-mute-all":
+        this.handleAudioToggle(false);
+        if (window.settings) {
+          window.settings.callMicStatus = false;
+        }
+        alert("🔇 The host muted your microphone.");
+        break;
+      case "host-request-unmute":
+        if (confirm("🎤 The host asked you to unmute. Unmute now?")) {
+          this.handleAudioToggle(true);
+          if (window.settings) {
+            window.settings.callMicStatus = true;
+          }
+        }
+        break;
+      case "host-request-video":
+        if (confirm("📹 The host asked you to turn on your camera. Turn it on?")) {
+          this.handleVideoToggle(true);
+          if (window.settings) {
+            window.settings.callCamStatus = true;
+          }
+        }
+        break;
+      case "host-stop-video":
+        this.handleVideoToggle(false);
+        if (window.settings) {
+          window.settings.callCamStatus = false;
+        }
+        alert("📹 The host turned off your camera.");
+        break;
+      case "host-remove":
+        this._endCallForRemoved();
+        coreChime.leave("Removed by host");
+        break;
+    }
+  }
+
+  /* ====================================================================
+   * _endCallForRemoved() - "ended" UI for a host removal, whether the
+   * host-remove hint or the server-side stop got here first
+   * ==================================================================== */
+  static _endCallForRemoved() {
+    if (this._endedReason) return;
+    this._endedReason = "removed";
+
+    alert("🚫 You were removed from the call by the host.");
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("ended", "removed", {
+        reason: "removed",
+        message: "Removed from the call by the host",
+      });
+    }
+  }
+
+  /* ====================================================================
+   * _isFromHost(from) - Sender's role per _mappingCache
+   * ==================================================================== */
+  static _isFromHost(from) {
+    const mapping = this._mappingCache.get(from?.attendeeId);
+    return mapping?.role === "host";
+  }
+
+  /* ====================================================================
+   * _refreshModerationTargets() - Fill select-moderation-target from _mappingCache
+   * ==================================================================== */
+  static _refreshModerationTargets() {
+    const select = this._ui.moderationTarget;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Select participant…</option>';
+    this._mappingCache.forEach((mapping, attendeeId) => {
+      if ((mapping.externalUserId || "").startsWith("host-")) return;
+      const option = document.createElement("option");
+      option.value = attendeeId;
+      option.textContent = `${mapping.displayName || mapping.uid} (${mapping.role})`;
+      select.appendChild(option);
+    });
+    if (this._mappingCache.has(selected)) {
+      select.value = selected;
+    }
+  }
+
+  /* ====================================================================
+   * requestMediaChange(to: "audio" | "video")
+   * Downgrade applies on both sides right away (turning cameras off needs
+   * nobody's consent); upgrade asks the other side first, and once they
+   * accept we send a final "media-change" that both sides switch on
+   * ==================================================================== */
+  static requestMediaChange(to) {
+    const current = window.mockCallData?.mediaType || "video";
+    console.log("[chimeHandler] [requestMediaChange]", { from: current, to });
+
+    if (!coreChime._audioVideo) {
+      alert("⚠️ Join the call before switching between audio and video.");
+      return;
+    }
+    if (to === current) {
+      console.log(`[chimeHandler] Call is already ${to}`);
+      return;
+    }
+    if (this._pendingMediaChange) {
+      alert("⏳ Still waiting for an answer to your last request.");
+      return;
+    }
+
+    if (to === "audio") {
+      this._applyMediaType("audio", "downgrade");
+      this.handleDataSend("media-change", { to: "audio", target: "all", timestamp: Date.now() });
+      return;
+    }
+
+    if (window.mockCallData?.isInGrace) {
+      DebugLogger.addLog("connected", "NOTICE", "requestMediaChange", "Video upgrade blocked during grace period");
+      alert("❌ Video can't be turned on during the grace period.");
+      return;
+    }
+
+    const requestId = `media-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this._pendingMediaChange = {
+      requestId,
+      to,
+      timer: setTimeout(() => {
+        if (this._pendingMediaChange?.requestId !== requestId) return;
+        this._pendingMediaChange = null;
+        DebugLogger.addLog("connected", "NOTICE", "requestMediaChange", "Video upgrade request got no answer");
+        alert("⌛ No answer to your video request.");
+      }, this._mediaChangePolicy.responseTimeoutMs),
+    };
+
+    DebugLogger.addLog("connected", "NOTICE", "requestMediaChange", "Asked to switch the call to video", { requestId });
+    this.handleDataSend("media-change-request", {
+      requestId,
+      to,
+      expiresInMs: this._mediaChangePolicy.responseTimeoutMs,
+      target: "all",
+      timestamp: Date.now(),
+    });
+  }
+
+  /* ====================================================================
+   * handleIncomingMediaChangeRequest(payload, from)
+   * Asks through chime-ui::media-change (answered by answerMediaChange);
+   * no answer before the request expires counts as declined
+   * ==================================================================== */
+  static handleIncomingMediaChangeRequest(payload, from) {
+    const { requestId, to } = payload;
+    if (to !== "video" || !requestId) return;
+
+    // Already on video, or both asked at the same time - their request answers ours
+    if ((window.mockCallData?.mediaType || "video") === "video" || this._pendingMediaChange?.to === "video") {
+      this._answerMediaChange(requestId, from.attendeeId, true);
+      return;
+    }
+    if (window.mockCallData?.isInGrace) {
+      this._answerMediaChange(requestId, from.attendeeId, false);
+      return;
+    }
+
+    const { responseTimeoutMs } = this._mediaChangePolicy;
+    const expiresInMs = Math.min(Number(payload.expiresInMs) || responseTimeoutMs, responseTimeoutMs);
+    const sender = this._mappingCache.get(from.attendeeId)?.displayName || from.externalUserId || "The other participant";
+
+    this._closeMediaChangePrompt();
+    this._incomingMediaChange = {
+      requestId,
+      from: from.attendeeId,
+      timer: setTimeout(() => {
+        DebugLogger.addLog("connected", "NOTICE", "handleIncomingMediaChangeRequest", "Video upgrade request expired", { requestId });
+        this.answerMediaChange(requestId, false);
+      }, expiresInMs),
+    };
+    document.dispatchEvent(
+      new CustomEvent("chime-ui::media-change", {
+        detail: { visible: true, requestId, sender },
+      })
+    );
+  }
+
+  /* ====================================================================
+   * answerMediaChange(requestId, accepted) - from the media-change prompt
+   * ==================================================================== */
+  static answerMediaChange(requestId, accepted) {
+    const prompt = this._incomingMediaChange;
+    if (!prompt || prompt.requestId !== requestId) return;
+
+    this._closeMediaChangePrompt();
+    this._answerMediaChange(requestId, prompt.from, !!accepted);
+  }
+
+  static _answerMediaChange(requestId, to, accepted) {
+    DebugLogger.addLog("connected", "NOTICE", "_answerMediaChange", `Video upgrade ${accepted ? "accepted" : "declined"}`, {
+      requestId,
+      from: to,
+    });
+    // Nothing switches yet - the requester may already have given up
+    if (accepted) this._acceptedMediaChangeId = requestId;
+    this.handleDataSend("media-change-response", {
+      requestId,
+      to: "video",
+      accepted,
+      target: to,
+      timestamp: Date.now(),
+    });
+  }
+
+  static _closeMediaChangePrompt() {
+    const prompt = this._incomingMediaChange;
+    if (!prompt) return;
+    clearTimeout(prompt.timer);
+    this._incomingMediaChange = null;
+    document.dispatchEvent(new CustomEvent("chime-ui::media-change", { detail: { visible: false } }));
+  }
+
+  /* ====================================================================
+   * handleIncomingMediaChangeResponse(payload, from)
+   * ==================================================================== */
+  static handleIncomingMediaChangeResponse(payload, from) {
+    const pending = this._pendingMediaChange;
+    if (!pending || pending.requestId !== payload.requestId) {
+      console.log("[chimeHandler] Ignoring stale media-change-response", payload.requestId);
+      return;
+    }
+    clearTimeout(pending.timer);
+    this._pendingMediaChange = null;
+
+    if (!payload.accepted) {
+      DebugLogger.addLog("connected", "NOTICE", "handleIncomingMediaChangeResponse", "Video upgrade declined");
+      alert("🚫 The other participant would rather stay on audio.");
+      return;
+    }
+    // Still within our window - confirm so they switch with us
+    this.handleDataSend("media-change", {
+      to: pending.to,
+      requestId: pending.requestId,
+      target: from.attendeeId,
+      timestamp: Date.now(),
+    });
+    this._applyMediaType(pending.to, "upgrade-accepted");
+  }
+
+  /* ====================================================================
+   * handleIncomingMediaChange(payload, from)
+   * Remote downgrade, or the requester's confirm of an upgrade we accepted
+   * ==================================================================== */
+  static handleIncomingMediaChange(payload, from) {
+    if (payload.to === "video") {
+      if (!payload.requestId || payload.requestId !== this._acceptedMediaChangeId) return;
+      this._acceptedMediaChangeId = null;
+      this._applyMediaType("video", "upgrade-confirmed");
+      return;
+    }
+    if (payload.to !== "audio") return;
+    this._applyMediaType("audio", "remote-downgrade");
+    alert("🎧 The call was switched to audio only.");
+  }
+
+  /* ====================================================================
+   * _applyMediaType(mediaType, reason)
+   * Single place that flips the call's media type on this side
+   * ==================================================================== */
+  static _applyMediaType(mediaType, reason) {
+    if (this._pendingMediaChange) {
+      clearTimeout(this._pendingMediaChange.timer);
+      this._pendingMediaChange = null;
+    }
+
+    // Camera goes off while the call is still "video" - handleVideoToggle blocks audio calls
+    if (mediaType === "audio" && coreChime._videoEnabled) {
+      this.handleVideoToggle(false);
+      if (window.settings) {
+        window.settings.callCamStatus = false;
+      }
+    }
+
+    if (window.mockCallData) {
+      window.mockCallData.mediaType = mediaType;
+    }
+    if (typeof CallHandler !== "undefined") {
+      CallHandler._invite.callType = mediaType;
+      CallHandler.ensureCamMicReady(mediaType); // keeps window.callMode in step for CamMic
+    }
+    if (window.settings) {
+      window.settings.callMediaType = mediaType;
+    }
+
+    console.log(`[chimeHandler] Call media is now ${mediaType} (${reason})`);
+    DebugLogger.addLog("connected", "NOTICE", "_applyMediaType", `Call switched to ${mediaType}`, { reason });
+  }
+
   /* ====================================================================
    * handleEnd()
    * ==================================================================== */
   static handleEnd() {
     console.log("[chimeHandler] [handleEnd]");
+    // Hanging up is deliberate - show "ended" (call receipt), not the rejoin prompt
+    this._endedReason = "user-ended";
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("ended", "user-ended", {
+        reason: "user-ended",
+        message: "You left the call",
+      });
+    }
     coreChime.leave("User ended call");
   }
 
   /* ====================================================================
-   * handleEndForAll()
+   * handleEndForAll()
+   * ==================================================================== */
+  static async handleEndForAll() {
+    console.log("[chimeHandler] [handleEndForAll]");
+    if (this._currentUserRole !== "host") {
+      DebugLogger.addLog("connected", "NOTICE", "handleEndForAll", "Only the host can end the call for everyone");
+      return;
+    }
+    if (!confirm("End call for all participants?")) return;
+
+    this._endedReason = "host-ended";
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("ended", "host-ended", {
+        reason: "host-ended",
+        message: "You ended the call for everyone",
+      });
+    }
+
+    const result = await coreChime.endMeetingForAll((meetingId) => this.deleteChimeMeeting(meetingId));
+    DebugLogger.addLog("terminated", "NOTICE", "handleEndForAll", "Call ended for all participants", result);
+  }
+
+  /* ====================================================================
+   * handleIncomingHostEnded - Host ended the call for everyone
+   * ==================================================================== */
+  static handleIncomingHostEnded(payload, from) {
+    if (!this._isFromHost(from)) {
+      console.warn("[chimeHandler] Ignoring host-ended from non-host", from.attendeeId);
+      DebugLogger.addLog("connected", "CRITICAL", "handleIncomingHostEnded", "Rejected host-ended from non-host", {
+        attendeeId: from.attendeeId,
+      });
+      return;
+    }
+
+    this._endCallForHostEnded();
+    coreChime.leave("host-ended");
+  }
+
+  /* ====================================================================
+   * _endCallForHostEnded() - Move this client to ended / host-ended
+   * ==================================================================== */
+  static _endCallForHostEnded() {
+    if (this._endedReason) return;
+    this._endedReason = "host-ended";
+
+    alert("📴 The host ended the call.");
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("ended", "host-ended", {
+        reason: "host-ended",
+        message: "The host ended the call",
+      });
+    }
+  }
+
+  /* ====================================================================
+   * setMaxAttendeesForScheduled(n)
+   * ==================================================================== */
+  static setMaxAttendeesForScheduled(n, { persist = true } = {}) {
+    console.log("[chimeHandler] [setMaxAttendeesForScheduled]", n);
+    if (!Number.isInteger(n) || n < 2) {
+      DebugLogger.addLog("connected", "NOTICE", "setMaxAttendeesForScheduled", `Ignored max attendees ${n}: must be a whole number of at least 2`);
+      return;
+    }
+
+    coreChime.setMaxAttendees(n);
+    if (this._ui.labelMaxParticipants) {
+      this._ui.labelMaxParticipants.textContent = n.toString();
+    }
+
+    // Cap lives on the scheduled meeting record so the pre-join check sees it
+    const meetingId = coreChime.getMeetingInfo()?.Meeting?.MeetingId || this._meetingMetadata?.MeetingId;
+    if (persist && meetingId) {
+      this.saveMeetingMaxAttendees(meetingId, n).catch((error) => {
+        DebugLogger.addLog("connected", "CRITICAL", "setMaxAttendeesForScheduled", `Failed to save max attendees: ${error.message}`);
+      });
+    }
+  }
+
+  /* ====================================================================
+   * _checkMeetingCapacity(meetingId)
+   * Scheduled meetings only; the host is never kept out.
+   * Returns { maxAttendees, attendeeCount, full } or null (no cap / check failed)
+   * ==================================================================== */
+  static async _checkMeetingCapacity(meetingId) {
+    const callType = window.mockCallData?.callType;
+    if (!meetingId || !callType || callType === CallHandler.TYPE_INSTANT) {
+      return null;
+    }
+
+    try {
+      const capacity = await this.getMeetingCapacity(meetingId);
+      if (!capacity.maxAttendees) return null;
+
+      return {
+        ...capacity,
+        full: this._currentUserRole !== "host" && capacity.attendeeCount >= capacity.maxAttendees,
+      };
+    } catch (error) {
+      // Let them in - the host still enforces the cap in-call (capacity-exceeded)
+      console.warn("[chimeHandler] [_checkMeetingCapacity] Check failed, joining anyway:", error);
+      return null;
+    }
+  }
+
+  /* ====================================================================
+   * _showMeetingFull({ maxAttendees, attendeeCount })
    * ==================================================================== */
-  static handleEndForAll() {
-    console.log("[chimeHandler] [handleEndForAll]");
-    if (confirm("End call for all participants?")) {
-      coreChime.endMeetingForAll();
+  static _showMeetingFull({ maxAttendees, attendeeCount } = {}) {
+    DebugLogger.addLog("terminated", "NOTICE", "_showMeetingFull", `Meeting is full (${attendeeCount}/${maxAttendees})`);
+    this._updateStatus(`Meeting is full (${maxAttendees} participants max)`);
+    if (typeof CallHandler !== "undefined" && CallHandler.dipatchUI) {
+      CallHandler.dipatchUI("shared:meetingFull", "none", {
+        reason: "meeting-full",
+        maxAttendees,
+        attendeeCount,
+      });
     }
   }
 
   /* ====================================================================
-   * setMaxAttendeesForScheduled(n)
+   * handleIncomingMeetingFull - Host turned us away (joined over the cap)
    * ==================================================================== */
-  static setMaxAttendeesForScheduled(n) {
-    console.log("[chimeHandler] [setMaxAttendeesForScheduled]", n);
-    coreChime.setMaxAttendees(n);
-    if (this._ui.labelMaxParticipants) {
-      this._ui.labelMaxParticipants.textContent = n.toString();
+  static handleIncomingMeetingFull(payload, from) {
+    if (!this._isFromHost(from)) {
+      console.warn("[chimeHandler] Ignoring meeting-full from non-host", from.attendeeId);
+      return;
     }
+
+    this._endedReason = "meeting-full";
+    this._showMeetingFull({ maxAttendees: payload.max, attendeeCount: payload.count });
+    coreChime.leave("meeting-full");
   }
 
   /* ====================================================================
@@ -2556,7 +3551,8 @@ class chimeHandler {
 
   /* ====================================================================
    * _updateStatusIcons(attendeeId, status) - Update Camera & Mic Icons
-   * Updates the status icons based on audio/video state
+   * Updates the status icons based on audio/video state, and the
+   * speaking ring around the tile (status.speaking)
    * ==================================================================== */
   static _updateStatusIcons(attendeeId, status) {
     const containers = document.querySelectorAll(`[data-attendee-id="${attendeeId}"]`);
@@ -2606,6 +3602,12 @@ class chimeHandler {
           micIcon.setAttribute('data-status', 'off');
         }
       }
+
+      // Update speaking ring
+      if (status.speaking !== undefined) {
+        container.style.boxShadow = status.speaking ? '0 0 0 3px rgba(34, 197, 94, 0.9)' : '';
+        container.setAttribute('data-speaking', status.speaking ? 'true' : 'false');
+      }
     });
   }
 
@@ -2704,11 +3706,15 @@ class chimeHandler {
     container.appendChild(overlay);
     
     // Initialize with default ON status after 1 second (assume enabled unless told otherwise)
+    // Quality only re-emits on change, so seed connection from the last snapshot
     setTimeout(() => {
+      const quality = coreChime.getCurrentQuality();
+      const tileQuality = (quality.video?.tiles || []).find((t) => t.attendeeId === attendeeId && !t.isContent);
+      const grade = isLocalUser ? quality.level : tileQuality?.level || quality.level;
       this._updateDebugOverlay(attendeeId, { 
         audioEnabled: true, 
         videoEnabled: true, 
-        connectionStrength: 'Good' 
+        connectionStrength: grade === 'fair' ? 'Fair' : grade === 'poor' ? 'Poor' : 'Good' 
       });
     }, 1000);
     
@@ -2752,10 +3758,10 @@ class chimeHandler {
           const connStatus = overlay.querySelector('.connection-status');
           if (connStatus) {
             connStatus.textContent = stats.connectionStrength;
-            // Color code: excellent=green, good=yellow, poor=red
+            // Color code: excellent/good=green, fair=yellow, poor=red
             connStatus.style.color = 
-              stats.connectionStrength === 'Excellent' ? '#4ade80' :
-              stats.connectionStrength === 'Good' ? '#fbbf24' : '#ef4444';
+              stats.connectionStrength === 'Excellent' || stats.connectionStrength === 'Good' ? '#4ade80' :
+              stats.connectionStrength === 'Fair' ? '#fbbf24' : '#ef4444';
           }
         }
       }
@@ -2972,11 +3978,12 @@ class chimeHandler {
   }
 
   /* ====================================================================
-   * _findNextAvailableCollaboratorContainer() - Dynamic Collaborator Assignment
-   * Finds the next available collaborator container (collab1, collab2, collab3)
-   * Implements shifting logic: if collab1 leaves, collab2 moves to collab1, etc.
+   * _findNextAvailableCollaboratorContainer(attendeeId) - Dynamic Collaborator Assignment
+   * Finds the container already holding attendeeId, else the first empty
+   * collaborator container (collab1..N). When every slot is taken a new
+   * collabN-container is created - group calls are not capped at three.
    * ==================================================================== */
-  static _findNextAvailableCollaboratorContainer() {
+  static _findNextAvailableCollaboratorContainer(attendeeId = null) {
     console.log(
       `[_findNextAvailableCollaboratorContainer] Starting search for available collaborator container`
     );
@@ -2984,22 +3991,15 @@ class chimeHandler {
     // Clean up any containers that have incorrect state
     this._cleanupInactiveContainers();
 
-    // Check each collaborator container in order (1, 2, 3)
-    for (let i = 1; i <= 3; i++) {
-      const collabContainer = document.getElementById(`collab${i}-container`);
-      if (!collabContainer) {
-        console.log(
-          `[_findNextAvailableCollaboratorContainer] collab${i}-container not found`
-        );
-        continue;
-      }
-
+    // Check each collaborator container in slot order
+    const collabContainers = this._getCollaboratorContainers();
+    for (const collabContainer of collabContainers) {
       const currentAttendeeId =
         collabContainer.getAttribute("data-attendee-id");
       const hasVideo = collabContainer.querySelector("video");
 
       console.log(
-        `[_findNextAvailableCollaboratorContainer] Checking collab${i}-container:`,
+        `[_findNextAvailableCollaboratorContainer] Checking ${collabContainer.id}:`,
         {
           attendeeId: currentAttendeeId,
           hasVideo: !!hasVideo,
@@ -3007,25 +4007,75 @@ class chimeHandler {
         }
       );
 
+      if (attendeeId && currentAttendeeId === attendeeId) {
+        console.log(
+          `[_findNextAvailableCollaboratorContainer] ✅ ${collabContainer.id} already holds ${attendeeId}`
+        );
+        return collabContainer;
+      }
+
       // Container is truly available if:
       // 1. No attendee ID assigned (empty or "")
       // 2. No video element present
       if ((!currentAttendeeId || currentAttendeeId === "") && !hasVideo) {
         console.log(
-          `[_findNextAvailableCollaboratorContainer] ✅ Found truly empty collab${i}-container`
+          `[_findNextAvailableCollaboratorContainer] ✅ Found truly empty ${collabContainer.id}`
         );
         return collabContainer;
       } else {
         console.log(
-          `[_findNextAvailableCollaboratorContainer] ❌ collab${i}-container is occupied by: ${currentAttendeeId} (hasVideo: ${!!hasVideo})`
+          `[_findNextAvailableCollaboratorContainer] ❌ ${collabContainer.id} is occupied by: ${currentAttendeeId} (hasVideo: ${!!hasVideo})`
         );
       }
     }
 
-    console.warn(
-      `[_findNextAvailableCollaboratorContainer] No available collaborator containers found!`
+    const nextIndex =
+      Math.max(0, ...collabContainers.map((el) => Number(el.getAttribute("data-collab-index")) || 0)) + 1;
+    console.log(
+      `[_findNextAvailableCollaboratorContainer] All ${collabContainers.length} collaborator containers occupied - adding collab${nextIndex}-container`
     );
-    return null;
+    return this._createCollaboratorContainer(nextIndex);
+  }
+
+  /* ====================================================================
+   * _getCollaboratorContainers() - collab1..N in slot order
+   * ==================================================================== */
+  static _getCollaboratorContainers() {
+    return Array.from(
+      document.querySelectorAll('#video-containers [data-container-type="collaborator"]')
+    ).sort(
+      (a, b) =>
+        Number(a.getAttribute("data-collab-index")) - Number(b.getAttribute("data-collab-index"))
+    );
+  }
+
+  /* ====================================================================
+   * _createCollaboratorContainer(index) - Same markup as collab1-3 in the HTML
+   * Starts hidden; UiMapTileToCard shows it and the layout system places it
+   * ==================================================================== */
+  static _createCollaboratorContainer(index) {
+    const stage = document.getElementById("video-containers");
+    if (!stage) {
+      console.warn(`[_createCollaboratorContainer] #video-containers not found`);
+      return null;
+    }
+
+    const container = document.createElement("div");
+    container.id = `collab${index}-container`;
+    container.setAttribute("data-name", `collab${index}`);
+    container.setAttribute("data-container-type", "collaborator");
+    container.setAttribute("data-collab-index", String(index));
+    container.setAttribute("data-attendee-id", "");
+    container.setAttribute("data-role", "collaborator");
+    container.className =
+      "tile flex items-center justify-center rounded-xl text-white video-card hidden";
+
+    // Keep the content share container last
+    const contentContainer = document.getElementById("content-container");
+    stage.insertBefore(container, contentContainer && contentContainer.parentNode === stage ? contentContainer : null);
+
+    console.log(`[_createCollaboratorContainer] ✅ Created ${container.id}`);
+    return container;
   }
 
   /* ====================================================================
@@ -3122,12 +4172,11 @@ class chimeHandler {
     let targetContainer = null;
 
     // ============================================================
-    // ONE-ON-ONE CALL CONTAINER MAPPING
-    // For one-on-one instant calls: host + attendee only
-    // TODO: GROUP CALL LOGIC - Will need to handle:
-    //   - Multiple collaborators (collab1, collab2, collab3)
-    //   - Dynamic container allocation
-    //   - Visibility rules based on participant count
+    // CONTAINER MAPPING
+    // Host and attendee have one container each; collaborators get
+    // collab1..N, created on demand (see _findNextAvailableCollaboratorContainer).
+    // Visibility is decided before this by _shouldShowVideo, placement
+    // after it by the layout system (LayoutEngine for group calls)
     // ============================================================
     
     // Determine target container based on CURRENT USER'S role, not target's role
@@ -3142,33 +4191,11 @@ class chimeHandler {
         );
       } else if (currentRole === "collaborator") {
         // Find next available collaborator container for myself
-        for (let i = 1; i <= 3; i++) {
-          const collabContainer = document.getElementById(
-            `collab${i}-container`
-          );
-          const currentAttendeeId =
-            collabContainer?.getAttribute("data-attendee-id");
-          console.log(
-            `[UiMapTileToCard] Checking collab${i}-container for local:`,
-            currentAttendeeId
-          );
-          if (
-            collabContainer &&
-            (!currentAttendeeId ||
-              currentAttendeeId === "" ||
-              currentAttendeeId === attendeeId)
-          ) {
-            console.log(
-              `[UiMapTileToCard] ✅ Found available collab${i}-container for local`
-            );
-            targetContainer = collabContainer;
-            break;
-          } else {
-            console.log(
-              `[UiMapTileToCard] ❌ collab${i}-container for local is occupied by: ${currentAttendeeId}`
-            );
-          }
-        }
+        targetContainer = this._findNextAvailableCollaboratorContainer(attendeeId);
+        console.log(
+          `[UiMapTileToCard] Collaborator container for local:`,
+          targetContainer?.id
+        );
       } else if (currentRole === "attendee" || currentRole === "guest") {
         targetContainer = document.getElementById("attendee-container");
       }
@@ -3200,33 +4227,11 @@ class chimeHandler {
         );
       } else if (targetRole === "collaborator") {
         // Find next available collaborator container
-        for (let i = 1; i <= 3; i++) {
-          const collabContainer = document.getElementById(
-            `collab${i}-container`
-          );
-          const currentAttendeeId =
-            collabContainer?.getAttribute("data-attendee-id");
-          console.log(
-            `[UiMapTileToCard] Checking collab${i}-container for remote:`,
-            currentAttendeeId
-          );
-          if (
-            collabContainer &&
-            (!currentAttendeeId ||
-              currentAttendeeId === "" ||
-              currentAttendeeId === attendeeId)
-          ) {
-            console.log(
-              `[UiMapTileToCard] ✅ Found available collab${i}-container for remote`
-            );
-            targetContainer = collabContainer;
-            break;
-          } else {
-            console.log(
-              `[UiMapTileToCard] ❌ collab${i}-container for remote is occupied by: ${currentAttendeeId}`
-            );
-          }
-        }
+        targetContainer = this._findNextAvailableCollaboratorContainer(attendeeId);
+        console.log(
+          `[UiMapTileToCard] Collaborator container for remote:`,
+          targetContainer?.id
+        );
       } else if (targetRole === "attendee" || targetRole === "guest") {
         targetContainer = document.getElementById("attendee-container");
       }
@@ -3360,6 +4365,94 @@ class chimeHandler {
     });
   }
 
+  /* ====================================================================
+   * _showContentTile(tileId, contentAttendeeId, hasStream)
+   * Binds a content share tile into #content-container and switches the
+   * stage to the content-share layout (content = main tile)
+   * ==================================================================== */
+  static _showContentTile(tileId, contentAttendeeId, hasStream) {
+    const container = document.getElementById("content-container");
+    if (!container) {
+      console.warn("[_showContentTile] #content-container not found");
+      return;
+    }
+
+    if (!hasStream) {
+      console.log(`[_showContentTile] Content tile ${tileId} has no stream yet`);
+      return;
+    }
+
+    if (this._contentTileId === tileId && container.querySelector("video")) {
+      return;
+    }
+
+    // A new presenter replaces the previous content tile
+    if (this._contentTileId !== null && this._contentTileId !== tileId) {
+      this._removeContentTile();
+    }
+
+    const ownerAttendeeId = (contentAttendeeId || "").split("#")[0];
+    const video = this._createVideoElement(tileId, contentAttendeeId);
+    // Shared tab audio is mixed into meeting-audio; never play it twice
+    video.muted = true;
+    video.style.height = "100%";
+    video.style.objectFit = "contain";
+    container.appendChild(video);
+
+    const mapping = this._mappingCache.get(ownerAttendeeId);
+    const isMine = ownerAttendeeId === coreChime.getLocalIdentifiers().attendeeId;
+    const presenter = isMine ? "You" : mapping?.displayName || mapping?.uid || "Participant";
+
+    const label = document.createElement("div");
+    label.className = "content-share-label";
+    label.style.cssText =
+      "position:absolute;top:8px;left:8px;padding:4px 10px;border-radius:9999px;background:rgba(0,0,0,0.6);color:#fff;font-size:12px;z-index:20;";
+    label.textContent = `🖥️ ${presenter} ${isMine ? "are" : "is"} sharing`;
+    container.appendChild(label);
+
+    container.setAttribute("data-content-tile-id", tileId);
+    container.setAttribute("data-content-owner-id", ownerAttendeeId);
+    container.classList.remove("hidden");
+    this._contentTileId = tileId;
+
+    coreChime.bindVideoElement(tileId, video);
+
+    DebugLogger.addLog("connected", "NOTICE", "chimeHandler._showContentTile", `${presenter} started sharing`, {
+      tileId,
+      ownerAttendeeId,
+    });
+
+    this.UiShiftTileLayout();
+  }
+
+  /* ====================================================================
+   * _removeContentTile()
+   * Unbinds and hides the content tile, restoring the participant layout
+   * ==================================================================== */
+  static _removeContentTile() {
+    const container = document.getElementById("content-container");
+    const tileId = this._contentTileId;
+    this._contentTileId = null;
+
+    if (tileId !== null) {
+      try {
+        coreChime.unbindVideoElement(tileId);
+      } catch (e) {
+        console.log("[_removeContentTile] Unbind failed (already removed):", e.message);
+      }
+    }
+
+    if (container) {
+      container.querySelectorAll("video, .content-share-label").forEach((el) => el.remove());
+      container.removeAttribute("data-content-tile-id");
+      container.removeAttribute("data-content-owner-id");
+      container.classList.add("hidden");
+    }
+
+    console.log(`[_removeContentTile] Content tile ${tileId} removed`);
+    this.UiShiftTileLayout();
+  }
+
   /* ====================================================================
    * UiShiftTileLayout() - Role-Based Layout Function
    * Delegates to automatic layout system from callFlow.html
@@ -3605,41 +4698,21 @@ class chimeHandler {
    * @returns {Promise<Object>} - { success, externalMeetingId }
    */
   static async createScyllaMeeting(eventId, initiatorId) {
-    try {
-      console.log("[chimeHandler] Step 1: Creating Scylla meeting", {
-        eventId,
-        initiatorId,
-      });
-
-      const response = await fetch(
-        this._scyllaDatabaseEndpoint + "createInstantMeeting",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ eventId, initiatorId }),
-          mode: "cors",
-        }
-      );
-
-      console.log("[chimeHandler] Scylla response status:", response.status);
-
-      const data = await response.json();
+    console.log("[chimeHandler] Step 1: Creating Scylla meeting", {
+      eventId,
+      initiatorId,
+    });
 
-      if (data.success && data.data) {
-        console.log("[chimeHandler] Scylla meeting created successfully", data);
-        return {
-          success: true,
-          externalMeetingId: data.data,
-        };
-      } else {
-        throw new Error(
-          `Failed to create Scylla meeting: ${data.error || "Unknown error"}`
-        );
-      }
-    } catch (error) {
-      console.error("[chimeHandler] Error creating Scylla meeting:", error);
-      throw error;
+    const result = await ApiClient.createInstantMeeting(eventId, initiatorId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to create Scylla meeting");
     }
+
+    console.log("[chimeHandler] Scylla meeting created successfully", result.data);
+    return {
+      success: true,
+      externalMeetingId: result.data.data,
+    };
   }
 
   /**
@@ -3648,89 +4721,59 @@ class chimeHandler {
    * @returns {Promise<Object>} - { success, meetingId, meetingData }
    */
   static async createChimeMeeting(externalMeetingId) {
-    try {
-      console.log("[chimeHandler] Step 2: Creating Chime meeting", {
-        externalMeetingId,
-      });
-
-      const payload = {
-        action: "createMeeting",
-        externalMeetingId: externalMeetingId,
-      };
-
-      const response = await fetch(this._chimeMeetingEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-        mode: "cors",
-      });
-
-      console.log("[chimeHandler] Chime response status:", response.status);
-
-      const data = await response.json();
+    console.log("[chimeHandler] Step 2: Creating Chime meeting", {
+      externalMeetingId,
+    });
 
-      if (data.meetingId) {
-        console.log("[chimeHandler] Chime meeting created successfully", data);
-        return {
-          success: true,
-          meetingId: data.meetingId,
-          meetingData: data.meeting,
-        };
-      } else {
-        throw new Error(
-          `Failed to create Chime meeting: ${data.error || "Unknown error"}`
-        );
-      }
-    } catch (error) {
-      console.error("[chimeHandler] Error creating Chime meeting:", error);
-      throw error;
+    const result = await ApiClient.createMeeting(externalMeetingId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to create Chime meeting");
     }
+
+    console.log("[chimeHandler] Chime meeting created successfully", result.data);
+    return {
+      success: true,
+      meetingId: result.data.meetingId,
+      meetingData: result.data.meeting,
+    };
   }
 
   /**
-   * Create a scheduled meeting using Chime Meeting API
+   * Step 1 (scheduled): Create the event meeting in Scylla database
    * @param {string} eventId - Event identifier
-   * @returns {Promise<Object>} - { success, meetingId }
+   * @param {string} initiatorId - Host user ID
+   * @param {Object} options - { startTime, endTime, maxAttendees }
+   * @returns {Promise<Object>} - { success, externalMeetingId }
    */
-  static async createScheduledMeeting(eventId) {
-    try {
-      console.log("[chimeHandler] Creating scheduled meeting via Lambda API", {
-        eventId,
-      });
-
-      const payload = {
-        eventId: eventId,
-      };
-
-      const response = await fetch(
-        this._lambdaEndpoint + "createScheduledMeeting",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        }
-      );
-
-      const data = await response.json();
+  static async createScheduledMeeting(
+    eventId,
+    initiatorId,
+    { startTime = null, endTime = null, maxAttendees = null } = {}
+  ) {
+    console.log("[chimeHandler] Step 1: Creating scheduled meeting", {
+      eventId,
+      initiatorId,
+      startTime,
+      endTime,
+      maxAttendees,
+    });
 
-      if (data.success) {
-        console.log(
-          "[chimeHandler] Scheduled meeting created successfully",
-          data
-        );
-        return {
-          success: true,
-          meetingId: data.data,
-        };
-      } else {
-        throw new Error(
-          `Failed to create scheduled meeting: ${data.error || "Unknown error"}`
-        );
-      }
-    } catch (error) {
-      console.error("[chimeHandler] Error creating scheduled meeting:", error);
-      throw error;
+    const result = await ApiClient.createScheduledMeeting({
+      eventId,
+      initiatorId,
+      startTime,
+      endTime,
+      maxAttendees,
+    });
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to create scheduled meeting");
     }
+
+    console.log("[chimeHandler] Scheduled meeting created successfully", result.data);
+    return {
+      success: true,
+      externalMeetingId: result.data.data,
+    };
   }
 
   /**
@@ -3741,105 +4784,108 @@ class chimeHandler {
    * @returns {Promise<Object>} - { success, meetingInfo }
    */
   static async addAttendeeToMeeting(meetingId, userId, role = "attendee") {
-    try {
-      console.log("[chimeHandler] Step 3: Adding attendee to meeting", {
-        meetingId,
-        userId,
-        role,
-      });
-
-      const payload = {
-        action: "addAttendee",
-        meetingId: meetingId,
-        externalUserId: userId,
-        role: role,
-      };
-
-      const response = await fetch(this._chimeMeetingEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-        mode: "cors",
-      });
-
-      console.log(
-        "[chimeHandler] Add attendee response status:",
-        response.status
-      );
-
-      const data = await response.json();
+    console.log("[chimeHandler] Step 3: Adding attendee to meeting", {
+      meetingId,
+      userId,
+      role,
+    });
 
-      if (data.meetingInfo) {
-        console.log("[chimeHandler] Attendee added successfully", data);
-        return {
-          success: true,
-          meetingId: meetingId,
-          userId: userId,
-          role: role,
-          meetingInfo: data.meetingInfo,
-        };
-      } else {
-        throw new Error(
-          `Failed to add attendee: ${data.error || "Unknown error"}`
-        );
-      }
-    } catch (error) {
-      console.error("[chimeHandler] Error adding attendee:", error);
-      throw error;
+    const result = await ApiClient.addAttendee(meetingId, userId, role);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to add attendee");
     }
+    if (!result.data.meetingInfo) {
+      throw new Error("Failed to add attendee: response has no meetingInfo");
+    }
+
+    console.log("[chimeHandler] Attendee added successfully", result.data);
+    return {
+      success: true,
+      meetingId: meetingId,
+      userId: userId,
+      role: role,
+      meetingInfo: result.data.meetingInfo,
+    };
   }
 
   /**
-   * Generate a complete meeting with host credentials using Chime Meeting API
-   * This is the main function requested
+   * Generate a complete scheduled meeting with a join link per participant
+   * Scylla event meeting -> Chime meeting -> one attendee (real JoinToken) per role.
+   * Links opened before startTime wait in the lobby and join at startTime;
+   * with an endTime the call ends for everyone when the slot is over.
    * @param {string} eventId - Event identifier
    * @param {string} hostUserId - Host user identifier
-   * @returns {Promise<Object>} - Complete meeting setup with host info
+   * @param {Object} options - { startTime, endTime, maxAttendees, participants: [{ userId, role }] }
+   * @returns {Promise<Object>} - { success, externalMeetingId, meetingId, startTime, endTime, hostInfo, participants }
    */
   static async generateMeetingLink(
     eventId = "test_event_001",
-    hostUserId = "test_host"
+    hostUserId = "host-001",
+    { startTime = null, endTime = null, maxAttendees = null, participants = [] } = {}
   ) {
     try {
       console.log("[chimeHandler] Generating meeting link", {
         eventId,
         hostUserId,
+        startTime,
+        endTime,
+        maxAttendees,
+        participants,
       });
 
-      // Step 1: Create instant meeting
-      const meetingResult = await this.createInstantMeeting(
+      const startIso = startTime ? new Date(startTime).toISOString() : null;
+      const endIso = endTime ? new Date(endTime).toISOString() : null;
+
+      // Step 1: Create the event meeting
+      const scyllaResult = await this.createScheduledMeeting(
         eventId,
-        hostUserId
+        hostUserId,
+        { startTime: startIso, endTime: endIso, maxAttendees }
+      );
+
+      // Step 2: Create the Chime meeting for it
+      const chimeResult = await this.createChimeMeeting(
+        scyllaResult.externalMeetingId
       );
 
-      // Step 2: Join as host
-      const hostResult = await this.joinMeeting(
-        meetingResult.meetingId,
+      const schedule = {
+        meetingData: chimeResult.meetingData,
+        startTime: startIso,
+        endTime: endIso,
+        callType:
+          participants.length > 1
+            ? CallHandler.TYPE_GROUP
+            : CallHandler.TYPE_SCHEDULED,
+      };
+
+      // Step 3: Issue the host link, then one link per participant
+      const hostInfo = await this.generateUserMeetingLink(
+        chimeResult.meetingId,
         hostUserId,
-        "host"
+        "host",
+        schedule
       );
 
-      // Create a simple join URL since the Chime Meeting API doesn't provide one
-      const joinUrl = `http://localhost:8080/callFlow.html?meetingInfo=${btoa(
-        JSON.stringify({
-          MeetingId: meetingResult.meetingId,
-          Attendee: {
-            AttendeeId: "temp-attendee-id",
-            ExternalUserId: hostUserId,
-            JoinToken: "temp-join-token",
-          },
-          role: "host",
-        })
-      )}`;
+      const participantLinks = [];
+      for (const { userId, role } of participants) {
+        participantLinks.push(
+          await this.generateUserMeetingLink(
+            chimeResult.meetingId,
+            userId,
+            role,
+            schedule
+          )
+        );
+      }
 
       const result = {
         success: true,
-        meetingId: meetingResult.meetingId,
-        hostInfo: {
-          userId: hostUserId,
-          joinUrl: joinUrl,
-          role: "host",
-        },
+        externalMeetingId: scyllaResult.externalMeetingId,
+        meetingId: chimeResult.meetingId,
+        startTime: startIso,
+        endTime: endIso,
+        hostInfo: hostInfo,
+        participants: participantLinks,
       };
 
       console.log("[chimeHandler] Meeting link generated successfully", result);
@@ -3852,12 +4898,18 @@ class chimeHandler {
 
   /**
    * Generate meeting link for a specific role (host, collaborator, or attendee)
-   * @param {string} meetingId - Existing meeting ID
+   * @param {string} meetingId - Existing Chime meeting ID
    * @param {string} userId - User identifier
    * @param {string} role - "host", "collaborator", or "attendee"
-   * @returns {Promise<Object>} - Meeting info for the user
+   * @param {Object} schedule - { meetingData, startTime, endTime, callType } baked into the link
+   * @returns {Promise<Object>} - { success, meetingId, userId, role, meetingInfo, joinUrl }
    */
-  static async generateUserMeetingLink(meetingId, userId, role) {
+  static async generateUserMeetingLink(
+    meetingId,
+    userId,
+    role,
+    { meetingData = null, startTime = null, endTime = null, callType = null } = {}
+  ) {
     try {
       console.log("[chimeHandler] Generating user meeting link", {
         meetingId,
@@ -3865,23 +4917,29 @@ class chimeHandler {
         role,
       });
 
-      const joinResult = await this.joinMeeting(meetingId, userId, role);
+      const joinResult = await this.addAttendeeToMeeting(
+        meetingId,
+        userId,
+        role
+      );
 
-      // Create a simple join URL since the Chime Meeting API doesn't provide one
-      const joinUrl = `http://localhost:8080/callFlow.html?meetingInfo=${btoa(
-        JSON.stringify({
-          MeetingId: meetingId,
-          Attendee: {
-            AttendeeId: "temp-attendee-id",
-            ExternalUserId: userId,
-            JoinToken: "temp-join-token",
-          },
-          role: role,
-        })
-      )}`;
+      // meetingInfo from the API holds the Attendee (with JoinToken) -
+      // add the full Meeting so the link can join without another lookup
+      const meetingInfo = JSON.parse(atob(joinResult.meetingInfo));
+      if (meetingData) meetingInfo.Meeting = meetingData;
+      if (startTime) meetingInfo.startTime = startTime;
+      if (endTime) meetingInfo.endTime = endTime;
+      if (callType) meetingInfo.callType = callType;
+
+      const joinUrl =
+        window.location.origin +
+        window.location.pathname +
+        "?meetingInfo=" +
+        encodeURIComponent(btoa(JSON.stringify(meetingInfo)));
 
       const result = {
         ...joinResult,
+        meetingInfo: meetingInfo,
         joinUrl: joinUrl,
       };
 
@@ -3905,34 +4963,95 @@ class chimeHandler {
    * @returns {Promise<Object>} - Meeting details
    */
   static async getMeeting(meetingId) {
-    try {
-      console.log("[chimeHandler] Getting meeting details", { meetingId });
+    console.log("[chimeHandler] Getting meeting details", { meetingId });
 
-      const response = await fetch(
-        `${this._chimeMeetingEndpoint}getMeeting?meetingId=${meetingId}`,
-        {
-          method: "GET",
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+    const result = await ApiClient.getMeeting(meetingId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to get meeting");
+    }
 
-      const data = await response.json();
+    console.log("[chimeHandler] Meeting details retrieved successfully", result.data);
+    return result.data;
+  }
 
-      if (data.success) {
-        console.log(
-          "[chimeHandler] Meeting details retrieved successfully",
-          data
-        );
-        return data;
-      } else {
-        throw new Error(
-          `Failed to get meeting: ${data.error || "Unknown error"}`
-        );
-      }
-    } catch (error) {
-      console.error("[chimeHandler] Error getting meeting:", error);
-      throw error;
+  /**
+   * Get the attendee cap and current attendee count of a scheduled meeting
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Object>} - { maxAttendees, attendeeCount }
+   */
+  static async getMeetingCapacity(meetingId) {
+    console.log("[chimeHandler] Getting meeting capacity", { meetingId });
+
+    const result = await ApiClient.getMeetingCapacity(meetingId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to get meeting capacity");
+    }
+
+    console.log("[chimeHandler] Meeting capacity retrieved", result.data);
+    return {
+      maxAttendees: result.data.data?.maxAttendees ?? null,
+      attendeeCount: result.data.data?.attendeeCount ?? 0,
+    };
+  }
+
+  /**
+   * Store the attendee cap on the scheduled meeting record
+   * @param {string} meetingId - Meeting ID
+   * @param {number} maxAttendees - Cap, self and host included
+   * @returns {Promise<Object>} - { success, meetingId, maxAttendees }
+   */
+  static async saveMeetingMaxAttendees(meetingId, maxAttendees) {
+    console.log("[chimeHandler] Saving meeting max attendees", { meetingId, maxAttendees });
+
+    const result = await ApiClient.setMeetingMaxAttendees(meetingId, maxAttendees);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to save max attendees");
+    }
+
+    console.log("[chimeHandler] Max attendees saved", result.data);
+    return { success: true, meetingId, maxAttendees };
+  }
+
+  /**
+   * Delete a meeting using Chime Meeting API (ends it for every attendee)
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Object>} - { success, meetingId }
+   */
+  static async deleteChimeMeeting(meetingId) {
+    console.log("[chimeHandler] Deleting Chime meeting", { meetingId });
+
+    const result = await ApiClient.deleteMeeting(meetingId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to delete meeting");
+    }
+
+    console.log("[chimeHandler] Chime meeting deleted successfully", result.data);
+    return {
+      success: true,
+      meetingId: meetingId,
+    };
+  }
+
+  /**
+   * Remove an attendee using Chime Meeting API - their session stops with
+   * AudioAttendeeRemoved
+   * @param {string} meetingId - Meeting ID
+   * @param {string} attendeeId - Chime attendee ID
+   * @returns {Promise<Object>} - { success, attendeeId }
+   */
+  static async deleteChimeAttendee(meetingId, attendeeId) {
+    console.log("[chimeHandler] Deleting Chime attendee", { meetingId, attendeeId });
+
+    const result = await ApiClient.deleteAttendee(meetingId, attendeeId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to delete attendee");
     }
+
+    console.log("[chimeHandler] Chime attendee deleted successfully", result.data);
+    return {
+      success: true,
+      attendeeId: attendeeId,
+    };
   }
 
   /**
@@ -3942,25 +5061,15 @@ class chimeHandler {
    * @returns {Promise<Object>} - Validation result
    */
   static async validateHost(meetingId, userId) {
-    try {
-      console.log("[chimeHandler] Validating host", { meetingId, userId });
-
-      const response = await fetch(
-        `${this._lambdaEndpoint}validateHost?meetingId=${meetingId}&userId=${userId}`,
-        {
-          method: "GET",
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+    console.log("[chimeHandler] Validating host", { meetingId, userId });
 
-      const data = await response.json();
-
-      console.log("[chimeHandler] Host validation result", data);
-      return data;
-    } catch (error) {
-      console.error("[chimeHandler] Error validating host:", error);
-      throw error;
+    const result = await ApiClient.validateHost(meetingId, userId);
+    if (!result.ok) {
+      throw ApiClient.toError(result, "Failed to validate host");
     }
+
+    console.log("[chimeHandler] Host validation result", result.data);
+    return result.data;
   }
 }
 
@@ -4259,7 +5368,9 @@ window.addEventListener("DOMContentLoaded", () => {
   console.log(
     "- addAttendeeToMeeting(meetingId, userId, role) // Step 3: Meeting API"
   );
-  console.log("- generateMeetingLink(eventId, hostUserId) // Complete process");
+  console.log(
+    "- generateMeetingLink(eventId, hostUserId, { startTime, endTime, maxAttendees, participants }) // Scheduled meeting + per-role links"
+  );
   console.log("- getMeeting(meetingId)");
   console.log("- validateHost(meetingId, userId)");
   console.log(
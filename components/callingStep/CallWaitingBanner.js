@@ -0,0 +1,76 @@
+// CallWaitingBanner.js
+// Non-blocking banner for a second incoming call while already in a call
+(function (global) {
+    function register(app) {
+      if (!app) return;
+
+      app.component('call-waiting-banner', {
+        props: {
+          show: { type: Boolean, default: false },
+          callerName: { type: String, default: '' },
+          callerHandle: { type: String, default: '' },
+          mediaType: { type: String, default: 'video' },
+          avatarSrc: { type: String, default: 'https://i.ibb.co.com/35W4r1KX/Vector-user.webp' },
+        },
+        emits: ['end-and-accept', 'decline', 'ignore'],
+        data() {
+          return { declining: false, message: "Can't talk right now - I'll call you back." };
+        },
+        watch: {
+          show(visible) {
+            if (!visible) this.declining = false;
+          },
+        },
+        template: `
+          <div
+            v-if="show"
+            data-call-waiting-banner
+            class="w-[26rem] max-w-[calc(100vw-2rem)] flex flex-col gap-3 p-3 rounded-[0.9375rem] bg-[#0C111DE5] shadow-xl"
+          >
+            <!-- caller info -->
+            <div class="flex items-center gap-3">
+              <img :src="avatarSrc" alt="caller" class="w-10 h-10 rounded-full" />
+              <div class="flex flex-col min-w-0">
+                <span class="text-sm font-medium text-white truncate">{{ callerName }} is calling</span>
+                <span class="text-xs text-[#98A2B3] truncate">
+                  {{ callerHandle }} · {{ mediaType === 'audio' ? 'Audio' : 'Video' }} call waiting
+                </span>
+              </div>
+            </div>
+
+            <!-- decline-with-message -->
+            <div v-if="declining" class="flex gap-2">
+              <input
+                v-model="message"
+                maxlength="140"
+                class="flex-1 h-9 px-2 rounded bg-white/10 text-sm text-white outline-none"
+              />
+              <button
+                @click="$emit('decline', message)"
+                class="h-9 px-3 rounded bg-[#FF4405] text-sm text-white cursor-pointer"
+              >Send</button>
+            </div>
+
+            <!-- actions -->
+            <div v-else class="flex gap-2">
+              <button
+                @click="$emit('end-and-accept')"
+                class="flex-1 h-9 rounded bg-[#07F468] text-sm font-medium text-black cursor-pointer"
+              >End &amp; Accept</button>
+              <button
+                @click="declining = true"
+                class="flex-1 h-9 rounded bg-[#FF4405] text-sm text-white cursor-pointer"
+              >Decline…</button>
+              <button
+                @click="$emit('ignore')"
+                class="flex-1 h-9 rounded bg-white/10 text-sm text-white cursor-pointer"
+              >Ignore</button>
+            </div>
+          </div>
+        `,
+      });
+    }
+
+    // Expose global registration method
+    global.registerCallWaitingBanner = register;
+  })(window);
@@ -0,0 +1,66 @@
+// Share screen button component (global)
+(function initShareScreenButton() {
+    if (!window) return;
+    window.VueComponents = window.VueComponents || {};
+    const { defineComponent } = Vue;
+  
+    const ShareScreenButton = defineComponent({
+      name: 'ShareScreenButton',
+      props: {
+        // Boolean: true while we are sharing
+        enabled: { type: Boolean, default: false },
+        // Optional direct callback for backward compatibility
+        onToggle: { type: Function, required: false },
+        // Optional aria label override
+        ariaLabel: { type: String, default: 'Toggle screen share' }
+      },
+      emits: ['toggle'],
+      template: `
+        <button
+          data-share-screen-button
+          type="button"
+          :aria-pressed="enabled"
+          :aria-label="ariaLabel"
+          :class="[
+            'h-[68px] w-[68px] w-12 h-12 min-w-12 rounded-full flex items-center justify-center cursor-pointer transition-all duration-200',
+            enabled ? 'bg-white/75' : 'bg-white/5'
+          ]"
+          @click="handleClick"
+        >
+          <svg class="w-8 h-8" viewBox="0 0 24 24" fill="none" :stroke="enabled ? '#0C111D' : '#FFFFFF'"
+            stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <rect x="2" y="3" width="20" height="14" rx="2"></rect>
+            <path d="M8 21h8M12 17v4"></path>
+            <path v-if="!enabled" d="M12 13V7M9 10l3-3 3 3"></path>
+            <path v-else d="M9 7l6 6M15 7l-6 6"></path>
+          </svg>
+        </button>
+      `,
+      methods: {
+        handleClick() {
+          // Prefer backward-compatible callback if provided, otherwise emit
+          if (typeof this.onToggle === 'function') {
+            try {
+              this.onToggle();
+            } catch (e) {
+              console.warn('[ShareScreenButton] onToggle threw an error:', e);
+            }
+          } else {
+            this.$emit('toggle');
+          }
+        }
+      }
+    });
+  
+    // Expose for global access
+    window.VueComponents.ShareScreenButton = ShareScreenButton;
+  
+    // Registration helper
+    window.registerShareScreenButton = function registerShareScreenButton(app) {
+      if (!app || typeof app.component !== 'function') {
+        console.warn('[ShareScreenButton] registerShareScreenButton: invalid Vue app instance passed.');
+        return;
+      }
+      app.component('share-screen-button', ShareScreenButton);
+    };
+  })();
@@ -12,13 +12,14 @@
                 class="text-white text-center text-sm font-medium block lg:hidden" data-call-type-text="">
                 [[mode_text]] [[userName]] </span>
               <div class="flex justify-center gap-2"><span class="text-white text-xs font-medium"
-                  data-meeting-time="">November 5, 2025</span>
+                  data-meeting-time=""></span>
                 <div class=" p-1 font-medium text-gray-700 hidden" style="display: none;">Timer: <span
                     data-timer="">00:00</span></div>
+                <span class="text-white text-xs font-medium" data-earnings="" style="display: none;"></span>
                 <div class="flex items-center gap-1 px-[8px] justify-center rounded-pill bg-[#5549FF] h-[18px]"
-                  data-status-indicator="">
+                  data-status-indicator="" style="display: none;">
                   <div class="w-2 h-2 rounded-full bg-white" data-status-dot=""></div><span
-                    class="text-white text-xs font-medium" data-status-text="">in 5 min</span>
+                    class="text-white text-xs font-medium" data-status-text=""></span>
                 </div>
               </div>
             </div>
@@ -5,6 +5,7 @@
       props: {
         toggleCamera: { type: Function, required: false },
         toggleMicrophone: { type: Function, required: false },
+        toggleShareScreen: { type: Function, required: false },
         chimeCallSettings: { type: Object, required: false },
       },
       template: `
@@ -13,6 +14,10 @@
         :enabled="chimeCallSettings.callMicStatus"
         @toggle="toggleMicrophone"
       />
+      <share-screen-button
+        :enabled="chimeCallSettings.callShareStatus"
+        @toggle="toggleShareScreen"
+      />
       <toggle-screensize @toggle="handleToggleFullscreen"></toggle-screensize>
 
       `
@@ -5,6 +5,7 @@
         userInitials: { type: String, default: 'UN' },
         toggleCamera: { type: Function, required: false },
         toggleMicrophone: { type: Function, required: false },
+        toggleShareScreen: { type: Function, required: false },
         toggleChat: { type: Function, required: false },
         chimeCallSettings: { type: Object, required: false },
       },
@@ -27,6 +28,7 @@
             <bottom-center-controls
               :toggle-camera="toggleCamera"
               :toggle-microphone="toggleMicrophone"
+              :toggle-share-screen="toggleShareScreen"
               :chime-call-settings="chimeCallSettings"
             />
           </div>
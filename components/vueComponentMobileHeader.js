@@ -21,6 +21,7 @@
               <div class="p-1 font-medium text-gray-700 hidden" style="display: none;">
                 Timer: <span data-timer>00:00</span>
               </div>
+              <span class="text-white text-xs font-medium" data-earnings style="display: none;"></span>
               <div class="flex items-center gap-1 px-2 justify-center rounded-pill bg-[#5549FF] h-[18px]" data-status-indicator>
                 <div class="w-2 h-2 rounded-full bg-white" data-status-dot></div>
                 <span class="text-white text-xs font-medium" data-status-text>{{ statusText }}</span>
@@ -28,6 +28,72 @@ class coreChime {
   static _videoProcessor = null;
   static _videoTransformDevice = null;
 
+  // Effects state (restored after reconnect)
+  static _blurLevel = "off";
+  static _backgroundImageUrl = null;
+
+  // Reconnect policy
+  static _reconnectPolicy = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15000 };
+  static _terminalStatusNames = [
+    "Left",
+    "AudioJoinedFromAnotherDevice",
+    "AudioDisconnectAudio",
+    "AudioAuthenticationRejected",
+    "AudioCallAtCapacity",
+    "AudioCallEnded",
+    "SignalingBadRequest",
+    "IncompatibleSDP",
+    "TURNCredentialsForbidden",
+    "NoAttendeePresent",
+    "MeetingEnded",
+    "AudioAttendeeRemoved",
+    "AudioVideoWasRemovedFromPrimaryMeeting",
+  ];
+  static _reconnecting = false;
+  static _sdkReconnecting = false;
+  static _leaving = false;
+  static _pendingStart = null; // { resolve, reject } while a reconnect waits for audioVideoDidStart
+
+  // Content share (screen / tab)
+  static _contentShareActive = false;
+
+  // Reliable messaging (ids, per-sender ordering, acks, retransmit)
+  // sid scopes sequence numbers to this page load so a rejoin starts a fresh stream
+  static _reliableSessionId = Math.random().toString(36).slice(2, 10);
+  static _reliableSeq = 0;
+  static _reliablePolicy = { retransmitMs: 1000, maxRetries: 5, gapTimeoutMs: 8000, skippedSeqLimit: 500 };
+  static _pendingAcks = new Map(); // id -> { envelope, awaiting: Set, retries, timer, resolve }
+  static _receiveStreams = new Map(); // "attendeeId:sid" -> { nextSeq, buffer: Map, skipped: Set, gapTimer }
+  static _presentAttendees = new Set(); // remote attendeeIds currently in the meeting
+
+  // Chunked transfer for payloads over the Chime data message limit (2KB)
+  // chunkBytes is raw UTF-8 before base64 (~4/3 growth) + envelope overhead
+  static _chunkPolicy = { maxMessageBytes: 1800, chunkBytes: 1024, reassemblyTimeoutMs: 30000 };
+  static _transferSeq = 0;
+  static _incomingTransfers = new Map(); // "attendeeId:transferId" -> { flag, total, parts, received, timer }
+
+  // Scheduled meeting cap (null = no cap); counts every attendee incl. self
+  static _maxAttendees = null;
+
+  // Quality metrics (fed by audioVideoDidReceiveMetrics, ~1 report/sec)
+  static _qualitySnapshot = null;
+  static _qualityLevel = null;
+  static _tileQualityLevels = {}; // tileId -> "good" | "fair" | "poor"
+  static _qualityThresholds = {
+    fair: { packetLossPercent: 2, jitterMs: 30, rttMs: 200 },
+    poor: { packetLossPercent: 5, jitterMs: 60, rttMs: 400 },
+  };
+
+  // Active speaker (fed by the volume indicator, volume is 0..1)
+  // silenceHoldMs keeps the ring on between words; switchHoldMs stops
+  // the active speaker flapping when two people talk over each other
+  static _activeSpeakerPolicy = { speakingThreshold: 0.15, silenceHoldMs: 800, switchHoldMs: 1200 };
+  static _speakerVolumes = new Map(); // attendeeId -> { volume, muted }
+  static _speakingAttendees = new Set();
+  static _silenceTimers = new Map(); // attendeeId -> timeout
+  static _activeSpeakerId = null;
+  static _speakerSwitch = null; // { attendeeId, timer } while a switch is held back
+
   /* ====================================================================
    * HELPER: Emit custom events
    * ==================================================================== */
@@ -144,9 +210,38 @@ class coreChime {
    * ==================================================================== */
   static _setupObservers() {
     const observer = {
+      audioVideoDidStartConnecting: (reconnecting) => {
+        // SDK-internal reconnect (connection health) - session is kept alive
+        if (!reconnecting || this._reconnecting) return;
+        console.log("[coreChime] audioVideoDidStartConnecting (SDK reconnect)");
+        this._sdkReconnecting = true;
+        this._connectionState = { status: "reconnecting", reason: "Connection health" };
+        this._emit("coreChime:reconnecting", {
+          attempt: 0,
+          maxAttempts: 0,
+          delayMs: 0,
+          reason: "Connection health",
+          source: "sdk",
+        });
+      },
+
       audioVideoDidStart: () => {
         console.log("[coreChime] audioVideoDidStart");
         this._connectionState.status = "connected";
+
+        // Our own reconnect loop resolves here and emits reconnected itself
+        if (this._pendingStart) {
+          this._pendingStart.resolve();
+          this._pendingStart = null;
+          return;
+        }
+
+        if (this._sdkReconnecting) {
+          this._sdkReconnecting = false;
+          this._emit("coreChime:reconnected", { attempts: 0, source: "sdk" });
+          return;
+        }
+
         this._emit("coreChime:connected", {
           attendeeId: this._localIdentifiers.attendeeId,
           externalUserId: this._localIdentifiers.externalUserId,
@@ -161,8 +256,35 @@ class coreChime {
         const reason = sessionStatus?.statusCode()
           ? `Code: ${sessionStatus.statusCode()}`
           : "Unknown";
+
+        // A stop while a reconnect attempt is starting fails that attempt
+        if (this._pendingStart) {
+          this._pendingStart.reject(new Error(`Session stopped (${reason})`));
+          this._pendingStart = null;
+          return;
+        }
+
+        this._sdkReconnecting = false;
+
+        // A failed attempt stopping its own session - _reconnect still has retries
+        // left and emits coreChime:disconnected itself once they run out
+        if (this._reconnecting && !this._leaving) {
+          console.log("[coreChime] audioVideoDidStop during reconnect - not a disconnect", reason);
+          return;
+        }
+
+        if (!this._leaving && !this._isTerminalStatus(sessionStatus)) {
+          this._reconnect(reason);
+          return;
+        }
+
+        // MeetingEnded = the meeting was deleted server-side (end for all)
+        // AudioAttendeeRemoved = our attendee was deleted (removed by the host)
+        const statusName = this._statusCodeName(sessionStatus);
+        const meetingEnded = statusName === "MeetingEnded";
+        const removed = statusName === "AudioAttendeeRemoved";
         this._connectionState = { status: "disconnected", reason };
-        this._emit("coreChime:disconnected", { reason });
+        this._emit("coreChime:disconnected", { reason, meetingEnded, removed });
       },
 
       videoTileDidUpdate: (tileState) => {
@@ -196,11 +318,36 @@ class coreChime {
 
       videoTileWasRemoved: (tileId) => {
         console.log("[coreChime] videoTileWasRemoved", tileId);
+        delete this._tileQualityLevels[tileId];
         this._emit("coreChime:tile-removed", { tileId });
       },
+
+      audioVideoDidReceiveMetrics: (clientMetricReport) => {
+        this._handleMetricsReport(clientMetricReport);
+      },
     };
 
     this._audioVideo.addObserver(observer);
+
+    // Content share lifecycle (also fires when the browser's "Stop sharing" is used)
+    if (typeof this._audioVideo.addContentShareObserver === "function") {
+      this._audioVideo.addContentShareObserver({
+        contentShareDidStart: () => {
+          console.log("[coreChime] contentShareDidStart");
+          this._contentShareActive = true;
+          this._emit("coreChime:content-share-started", {
+            attendeeId: this._localIdentifiers.attendeeId,
+          });
+        },
+        contentShareDidStop: () => {
+          console.log("[coreChime] contentShareDidStop");
+          this._contentShareActive = false;
+          this._emit("coreChime:content-share-stopped", {
+            attendeeId: this._localIdentifiers.attendeeId,
+          });
+        },
+      });
+    }
   }
 
   /* ====================================================================
@@ -214,6 +361,16 @@ class coreChime {
           present,
           externalUserId,
         });
+
+        // Content share joins as "<attendeeId>#content" - not a participant
+        if (attendeeId && attendeeId.includes("#content")) {
+          this._emit("coreChime:content-attendee-changed", {
+            attendeeId,
+            ownerAttendeeId: attendeeId.split("#")[0],
+            present,
+          });
+          return;
+        }
         
         if (typeof DebugLogger !== "undefined") {
           DebugLogger.addLog(present ? 'joined' : 'terminated', 'NOTICE', 'coreChime.realtimeSubscribe', `Attendee ${present ? 'Joined' : 'Left'}`, {
@@ -223,6 +380,17 @@ class coreChime {
           });
         }
 
+        // Remote roster - who must ack reliable messages
+        if (attendeeId !== this._localIdentifiers.attendeeId) {
+          if (present) {
+            this._presentAttendees.add(attendeeId);
+          } else {
+            this._presentAttendees.delete(attendeeId);
+            this._dropAwaitingAck(attendeeId);
+            this._forgetSpeaker(attendeeId);
+          }
+        }
+
         if (present) {
           this._emit("coreChime:attendee-joined", {
             attendeeId,
@@ -231,6 +399,19 @@ class coreChime {
         } else {
           this._emit("coreChime:attendee-left", { attendeeId, externalUserId });
         }
+
+        const count = this.getAttendeeCount();
+        this._emit("coreChime:attendee-count-changed", { count, max: this._maxAttendees });
+
+        // Joiner that pushed the meeting over its cap (pre-join check raced or was skipped)
+        if (present && this._maxAttendees && count > this._maxAttendees && attendeeId !== this._localIdentifiers.attendeeId) {
+          this._emit("coreChime:capacity-exceeded", {
+            attendeeId,
+            externalUserId,
+            count,
+            max: this._maxAttendees,
+          });
+        }
       }
     );
     
@@ -260,10 +441,145 @@ class coreChime {
           volume,
           signalStrength
         });
+
+        this._updateSpeaker(attendeeId, volume, muted);
       }
     );
   }
 
+  /* ====================================================================
+   * _updateSpeaker(attendeeId, volume, muted)
+   * Speaking on/off per attendee - emits coreChime:speaking-changed
+   * ==================================================================== */
+  static _updateSpeaker(attendeeId, volume, muted) {
+    if (!attendeeId || attendeeId.includes("#content")) return;
+
+    // SDK sends null for whichever value did not change
+    const previous = this._speakerVolumes.get(attendeeId) || { volume: 0, muted: false };
+    const current = {
+      volume: volume ?? previous.volume,
+      muted: muted ?? previous.muted,
+    };
+    this._speakerVolumes.set(attendeeId, current);
+
+    const speaking = !current.muted && current.volume >= this._activeSpeakerPolicy.speakingThreshold;
+
+    if (speaking) {
+      clearTimeout(this._silenceTimers.get(attendeeId));
+      this._silenceTimers.delete(attendeeId);
+      if (!this._speakingAttendees.has(attendeeId)) {
+        this._speakingAttendees.add(attendeeId);
+        this._emit("coreChime:speaking-changed", { attendeeId, speaking: true });
+      }
+    } else if (this._speakingAttendees.has(attendeeId) && !this._silenceTimers.has(attendeeId)) {
+      // Muting ends speech at once; silence has to last silenceHoldMs
+      const holdMs = current.muted ? 0 : this._activeSpeakerPolicy.silenceHoldMs;
+      this._silenceTimers.set(
+        attendeeId,
+        setTimeout(() => {
+          this._silenceTimers.delete(attendeeId);
+          this._speakingAttendees.delete(attendeeId);
+          this._emit("coreChime:speaking-changed", { attendeeId, speaking: false });
+          this._evaluateActiveSpeaker();
+        }, holdMs)
+      );
+    }
+
+    this._evaluateActiveSpeaker();
+  }
+
+  /* ====================================================================
+   * _evaluateActiveSpeaker()
+   * Loudest speaking attendee becomes active speaker; taking over from
+   * someone who is still talking has to hold for switchHoldMs.
+   * The last speaker stays active through silence.
+   * ==================================================================== */
+  static _evaluateActiveSpeaker() {
+    let candidate = null;
+    let loudest = -1;
+    this._speakingAttendees.forEach((attendeeId) => {
+      const { volume } = this._speakerVolumes.get(attendeeId) || { volume: 0 };
+      if (volume > loudest) {
+        loudest = volume;
+        candidate = attendeeId;
+      }
+    });
+
+    if (!candidate || candidate === this._activeSpeakerId) {
+      this._cancelSpeakerSwitch();
+      return;
+    }
+
+    if (!this._activeSpeakerId || !this._speakingAttendees.has(this._activeSpeakerId)) {
+      this._setActiveSpeaker(candidate);
+      return;
+    }
+
+    if (this._speakerSwitch?.attendeeId === candidate) return;
+
+    this._cancelSpeakerSwitch();
+    this._speakerSwitch = {
+      attendeeId: candidate,
+      timer: setTimeout(() => {
+        this._speakerSwitch = null;
+        if (this._speakingAttendees.has(candidate)) {
+          this._setActiveSpeaker(candidate);
+        }
+      }, this._activeSpeakerPolicy.switchHoldMs),
+    };
+  }
+
+  static _cancelSpeakerSwitch() {
+    if (!this._speakerSwitch) return;
+    clearTimeout(this._speakerSwitch.timer);
+    this._speakerSwitch = null;
+  }
+
+  static _setActiveSpeaker(attendeeId) {
+    const previousAttendeeId = this._activeSpeakerId;
+    this._cancelSpeakerSwitch();
+    if (attendeeId === previousAttendeeId) return;
+
+    this._activeSpeakerId = attendeeId;
+    this._emit("coreChime:active-speaker-changed", {
+      attendeeId,
+      previousAttendeeId,
+      isLocal: !!attendeeId && attendeeId === this._localIdentifiers.attendeeId,
+    });
+  }
+
+  /* ====================================================================
+   * _forgetSpeaker(attendeeId)
+   * Attendee left - drop their speaking state and hand off active speaker
+   * ==================================================================== */
+  static _forgetSpeaker(attendeeId) {
+    clearTimeout(this._silenceTimers.get(attendeeId));
+    this._silenceTimers.delete(attendeeId);
+    this._speakerVolumes.delete(attendeeId);
+    if (this._speakingAttendees.delete(attendeeId)) {
+      this._emit("coreChime:speaking-changed", { attendeeId, speaking: false });
+    }
+    if (this._speakerSwitch?.attendeeId === attendeeId) {
+      this._cancelSpeakerSwitch();
+    }
+    if (this._activeSpeakerId === attendeeId) {
+      this._setActiveSpeaker(null);
+      this._evaluateActiveSpeaker();
+    }
+  }
+
+  /* ====================================================================
+   * _resetSpeakerState()
+   * ==================================================================== */
+  static _resetSpeakerState() {
+    this._silenceTimers.forEach((timer) => clearTimeout(timer));
+    this._silenceTimers.clear();
+    this._cancelSpeakerSwitch();
+    this._speakerVolumes.clear();
+    this._speakingAttendees.clear();
+    this._activeSpeakerId = null;
+  }
+
   /* ====================================================================
    * Setup Data Channel (for app-level messages)
    * ==================================================================== */
@@ -275,20 +591,30 @@ class coreChime {
           const payload = JSON.parse(dataMessage.text());
           const senderAttendeeId = dataMessage.senderAttendeeId;
           const senderExternalUserId = dataMessage.senderExternalUserId || null;
+          const from = {
+            attendeeId: senderAttendeeId,
+            externalUserId: senderExternalUserId,
+          };
 
           console.log("[coreChime] Data received", {
             payload,
             from: senderAttendeeId,
           });
 
-          this._emit("coreChime:data-received", {
-            flag: payload.flag || "unknown",
-            payload: payload.payload || {},
-            from: {
-              attendeeId: senderAttendeeId,
-              externalUserId: senderExternalUserId,
-            },
-          });
+          // Acks are consumed here and never reach the app
+          if (payload.flag === "__ack") {
+            if (payload.payload?.to === this._localIdentifiers.attendeeId) {
+              this._handleAck(payload.payload.id, senderAttendeeId);
+            }
+            return;
+          }
+
+          if (payload.reliable) {
+            this._receiveReliable(payload, from);
+            return;
+          }
+
+          this._dispatchData(payload.flag, payload.payload, from);
         } catch (error) {
           console.error("[coreChime] Error parsing data message:", error);
         }
@@ -458,8 +784,11 @@ class coreChime {
       console.log("[coreChime] [join] Complete");
     } catch (error) {
       console.error("[coreChime] [join] Error:", error);
-      this._connectionState = { status: "disconnected", reason: error.message };
-      this._emit("coreChime:disconnected", { reason: error.message });
+      // During a reconnect the retry loop owns the disconnected decision
+      if (!this._reconnecting) {
+        this._connectionState = { status: "disconnected", reason: error.message };
+        this._emit("coreChime:disconnected", { reason: error.message });
+      }
       throw error;
     }
   }
@@ -476,7 +805,16 @@ class coreChime {
       return;
     }
 
+    // Leaving is final - stop any reconnect loop and skip the policy on stop
+    this._leaving = true;
+    this._reconnecting = false;
+
     try {
+      // Stop any active screen share before the session goes away
+      if (this._contentShareActive) {
+        await this.stopContentShare();
+      }
+
       // Cleanup video processors
       if (this._videoProcessor) {
         try {
@@ -526,25 +864,222 @@ class coreChime {
 
       this._connectionState = { status: "disconnected", reason };
       this._videoEnabled = false; // Reset video state
+      this._qualitySnapshot = null;
+      this._qualityLevel = null;
+      this._tileQualityLevels = {};
+      this._resetReliableState();
+      this._resetSpeakerState();
       this._emit("coreChime:disconnected", { reason });
 
       console.log("[coreChime] [leave] Complete - All streams stopped");
     } catch (error) {
       console.error("[coreChime] [leave] Error:", error);
+    } finally {
+      this._leaving = false;
+    }
+  }
+
+  /* ====================================================================
+   * _isTerminalStatus(sessionStatus)
+   * True when the stop code means the session cannot be resumed
+   * (left, removed, meeting ended, auth rejected, capacity...)
+   * ==================================================================== */
+  static _isTerminalStatus(sessionStatus) {
+    if (!sessionStatus || typeof sessionStatus.statusCode !== "function") {
+      return true;
+    }
+
+    const name = this._statusCodeName(sessionStatus);
+    if (name) {
+      return this._terminalStatusNames.includes(name);
+    }
+
+    // Enum not exposed - fall back to the SDK's own classification
+    if (typeof sessionStatus.isTerminal === "function") {
+      return sessionStatus.isTerminal();
+    }
+    return true;
+  }
+
+  /* ====================================================================
+   * _statusCodeName(sessionStatus)
+   * MeetingSessionStatusCode name ("MeetingEnded", ...) or null when the
+   * SDK does not expose the enum
+   * ==================================================================== */
+  static _statusCodeName(sessionStatus) {
+    if (!sessionStatus || typeof sessionStatus.statusCode !== "function") {
+      return null;
     }
+
+    const SDK = window.ChimeSDK || window.AmazonChimeSDK || window;
+    const root = SDK.default || SDK;
+    const codes = root.MeetingSessionStatusCode;
+    const code = sessionStatus.statusCode();
+
+    return codes && codes[code] !== undefined ? codes[code] : null;
   }
 
   /* ====================================================================
-   * endMeetingForAll()
+   * _reconnect(reason)
+   * Re-creates the session with exponential backoff and restores
+   * mic, camera, blur and background as they were before the drop
+   * ==================================================================== */
+  static async _reconnect(reason) {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this._reconnectPolicy;
+    const resumeState = {
+      audioEnabled: this._audioEnabled,
+      videoEnabled: this._videoEnabled,
+      blurLevel: this._blurLevel,
+      backgroundImageUrl: this._backgroundImageUrl,
+    };
+
+    console.log("[coreChime] [_reconnect] Start", { reason, resumeState });
+    if (typeof DebugLogger !== "undefined") {
+      DebugLogger.addLog("connecting", "NOTICE", "coreChime._reconnect", `Connection dropped (${reason}) - reconnecting`, resumeState);
+    }
+
+    this._reconnecting = true;
+    this._connectionState = { status: "reconnecting", reason };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const delayMs = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+      this._emit("coreChime:reconnecting", {
+        attempt,
+        maxAttempts,
+        delayMs,
+        reason,
+        source: "coreChime",
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+      // leave() was called while we were waiting
+      if (!this._reconnecting) {
+        console.log("[coreChime] [_reconnect] Aborted");
+        return;
+      }
+
+      let startTimer = null;
+      try {
+        await this.initialize({
+          meetingInfo: this._meetingInfo,
+          attendeeInfo: this._attendeeInfo,
+        });
+
+        const started = new Promise((resolve, reject) => {
+          this._pendingStart = { resolve, reject };
+          startTimer = setTimeout(() => reject(new Error("Timed out waiting for session start")), 10000);
+        });
+        // join() may throw before we await it - the attempt fails there instead
+        started.catch(() => {});
+
+        // Video is re-enabled below so effects can be applied to the fresh input
+        this._audioEnabled = false;
+        await this.join({ enableAudio: true, enableVideo: false });
+        await started;
+
+        await this._restoreMediaState(resumeState);
+
+        this._reconnecting = false;
+        this._connectionState = { status: "connected", reason: null };
+        console.log(`[coreChime] [_reconnect] Reconnected after ${attempt} attempt(s)`);
+        if (typeof DebugLogger !== "undefined") {
+          DebugLogger.addLog("connected", "NOTICE", "coreChime._reconnect", `Reconnected after ${attempt} attempt(s)`, resumeState);
+        }
+
+        this._emit("coreChime:reconnected", {
+          attempts: attempt,
+          attendeeId: this._localIdentifiers.attendeeId,
+          externalUserId: this._localIdentifiers.externalUserId,
+          restored: resumeState,
+          source: "coreChime",
+        });
+        return;
+      } catch (error) {
+        this._pendingStart = null;
+        console.warn(`[coreChime] [_reconnect] Attempt ${attempt}/${maxAttempts} failed:`, error);
+        if (typeof DebugLogger !== "undefined") {
+          DebugLogger.addLog("connecting", "CRITICAL", "coreChime._reconnect", `Reconnect attempt ${attempt}/${maxAttempts} failed: ${error.message}`);
+        }
+        try {
+          this._audioVideo?.stop();
+        } catch (e) {
+          // already stopped
+        }
+      } finally {
+        clearTimeout(startTimer);
+      }
+    }
+
+    this._reconnecting = false;
+    this._connectionState = { status: "disconnected", reason };
+    this._emit("coreChime:disconnected", { reason, reconnectFailed: true });
+  }
+
+  /* ====================================================================
+   * _restoreMediaState({ audioEnabled, videoEnabled, blurLevel, backgroundImageUrl })
+   * Re-applies local media state on a freshly joined session
+   * ==================================================================== */
+  static async _restoreMediaState(resumeState) {
+    await this.toggleAudio(resumeState.audioEnabled);
+
+    if (!resumeState.videoEnabled) return;
+
+    await this.toggleVideo(true);
+
+    if (resumeState.backgroundImageUrl) {
+      await this.setBackgroundImage(resumeState.backgroundImageUrl);
+    } else if (resumeState.blurLevel && resumeState.blurLevel !== "off") {
+      await this.setVideoBlur(resumeState.blurLevel);
+    }
+  }
+
+  /* ====================================================================
+   * endMeetingForAll(deleteMeeting?: (meetingId) => Promise)
    * Host-only: terminates meeting for all participants
-   * (Server-verified in real implementation)
+   * 1. "host-ended" data flag to everyone (acked, bounded wait) - must go
+   *    first, the data channel dies with the meeting
+   * 2. deleteMeeting(meetingId) - backend deletes the Chime meeting, which
+   *    stops every remaining session with MeetingEnded (the server check)
+   * 3. leave locally
+   * Resolves { notified, deleted }
    * ==================================================================== */
-  static async endMeetingForAll() {
+  static _hostEndedAckWaitMs = 2000;
+
+  static async endMeetingForAll(deleteMeeting) {
     console.log("[coreChime] [endMeetingForAll]");
 
-    // TODO: In production, this should call your backend to delete the meeting
-    // For now, just leave locally
-    await this.leave("Meeting ended by host");
+    let notified = false;
+    let deleted = false;
+
+    if (this._audioVideo) {
+      const delivery = await Promise.race([
+        this.sendData("host-ended", { target: "all", reason: "host-ended", timestamp: Date.now() }, { reliable: true }),
+        new Promise((resolve) => setTimeout(() => resolve({ delivered: false, timedOut: true }), this._hostEndedAckWaitMs)),
+      ]);
+      notified = !!delivery?.delivered;
+      console.log("[coreChime] [endMeetingForAll] host-ended delivery", delivery);
+    }
+
+    const meetingId = this._meetingInfo?.MeetingId || this._meetingInfo?.Meeting?.MeetingId;
+    if (typeof deleteMeeting === "function" && meetingId) {
+      try {
+        await deleteMeeting(meetingId);
+        deleted = true;
+      } catch (error) {
+        // Clients that got the flag still end; the rest stay until they leave
+        console.error("[coreChime] [endMeetingForAll] Delete meeting failed:", error);
+        if (typeof DebugLogger !== "undefined") {
+          DebugLogger.addLog("terminated", "CRITICAL", "coreChime.endMeetingForAll", "Server delete-meeting failed", {
+            meetingId,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    await this.leave("host-ended");
+    return { notified, deleted };
   }
 
   /* ====================================================================
@@ -910,6 +1445,8 @@ class coreChime {
         );
       }
       
+      this._blurLevel = level;
+      if (level !== "off") this._backgroundImageUrl = null;
       localStorage.setItem("CamMicPreferred-blur", level);
       this._emit("coreChime:blur-changed", { level });
     } catch (error) {
@@ -1042,6 +1579,8 @@ class coreChime {
         );
       }
       
+      this._backgroundImageUrl = imageUrl || null;
+      if (imageUrl) this._blurLevel = "off";
       localStorage.setItem("CamMicPreferred-background", imageUrl || "");
       this._emit("coreChime:background-changed", { imageUrl });
     } catch (error) {
@@ -1184,19 +1723,99 @@ class coreChime {
   }
 
   /* ====================================================================
-   * sendData(flag: string, payload: object)
+   * startContentShare(stream?: MediaStream)
+   * Shares a screen/window/tab (browser picker) or a provided stream
+   * ==================================================================== */
+  static async startContentShare(stream = null) {
+    console.log("[coreChime] [startContentShare]", { hasStream: !!stream });
+
+    if (!this._audioVideo) {
+      console.warn("[coreChime] Cannot share content - not initialized");
+      return false;
+    }
+
+    if (this._contentShareActive) {
+      console.log("[coreChime] [startContentShare] Already sharing");
+      return true;
+    }
+
+    try {
+      if (stream) {
+        await this._audioVideo.startContentShare(stream);
+      } else {
+        await this._audioVideo.startContentShareFromScreenCapture();
+      }
+
+      // Observer flips the flag too; set it here for SDKs without contentShareDidStart
+      this._contentShareActive = true;
+      console.log("[coreChime] [startContentShare] Complete");
+      return true;
+    } catch (error) {
+      // User dismissing the browser picker lands here (NotAllowedError)
+      console.error("[coreChime] [startContentShare] Error:", error);
+      this._contentShareActive = false;
+      this._emit("coreChime:content-share-failed", {
+        reason: error.name === "NotAllowedError" ? "cancelled" : error.message,
+      });
+      return false;
+    }
+  }
+
+  /* ====================================================================
+   * stopContentShare()
+   * Stops the local content share if one is running
+   * ==================================================================== */
+  static async stopContentShare() {
+    console.log("[coreChime] [stopContentShare]");
+
+    if (!this._audioVideo) {
+      console.warn("[coreChime] Cannot stop content share - not initialized");
+      return;
+    }
+
+    try {
+      this._audioVideo.stopContentShare();
+      this._contentShareActive = false;
+      console.log("[coreChime] [stopContentShare] Complete");
+    } catch (error) {
+      console.error("[coreChime] [stopContentShare] Error:", error);
+    }
+  }
+
+  /* ====================================================================
+   * isContentSharing()
+   * True while the local attendee is sharing content
+   * ==================================================================== */
+  static isContentSharing() {
+    return this._contentShareActive;
+  }
+
+  /* ====================================================================
+   * sendData(flag: string, payload: object, options?: { reliable })
    * Sends app-level message over data channel
+   * reliable: true -> id + sequence number, acked by every recipient,
+   * retransmitted until acked; resolves { delivered, id, missing }
+   * Messages over the size limit are always chunked (and sent reliably)
    * ==================================================================== */
-  static async sendData(flag, payload) {
-    console.log("[coreChime] [sendData]", { flag, payload });
+  static async sendData(flag, payload, options = {}) {
+    console.log("[coreChime] [sendData]", { flag, payload, options });
 
     if (!this._audioVideo) {
       console.warn("[coreChime] Cannot send data - not initialized");
       return;
     }
 
+    const message = JSON.stringify({ flag, payload });
+    const bytes = new TextEncoder().encode(message);
+    if (bytes.length > this._chunkPolicy.maxMessageBytes) {
+      return this._sendChunked(flag, payload, bytes);
+    }
+
+    if (options.reliable) {
+      return this._sendReliable(flag, payload);
+    }
+
     try {
-      const message = JSON.stringify({ flag, payload });
       await this._audioVideo.realtimeSendDataMessage("app-data", message, 1000); // 1000ms lifetime
 
       console.log("[coreChime] [sendData] Complete");
@@ -1205,15 +1824,391 @@ class coreChime {
     }
   }
 
+  /* ====================================================================
+   * _sendReliable(flag, payload)
+   * Wraps the message in an envelope and tracks acks per recipient
+   * ==================================================================== */
+  static async _sendReliable(flag, payload) {
+    const seq = ++this._reliableSeq;
+    const envelope = {
+      flag,
+      payload,
+      reliable: true,
+      id: `${this._reliableSessionId}-${seq}`,
+      sid: this._reliableSessionId,
+      seq,
+    };
+
+    // Targeted messages only need the target's ack
+    const target = payload?.target || "all";
+    const awaiting = new Set(
+      target === "all" ? Array.from(this._presentAttendees) : [target]
+    );
+
+    const result = new Promise((resolve) => {
+      if (awaiting.size === 0) {
+        resolve({ delivered: true, id: envelope.id, missing: [] });
+        return;
+      }
+      this._pendingAcks.set(envelope.id, {
+        envelope,
+        awaiting,
+        retries: 0,
+        timer: null,
+        resolve,
+      });
+    });
+
+    await this._transmitReliable(envelope);
+    this._scheduleRetransmit(envelope.id);
+    return result;
+  }
+
+  /* ====================================================================
+   * _transmitReliable(envelope)
+   * One send attempt (first send and every retransmit)
+   * base = oldest seq we may still resend, so a receiver that starts
+   * listening mid-stream knows where its sequence begins
+   * ==================================================================== */
+  static async _transmitReliable(envelope) {
+    const base = Math.min(envelope.seq, ...Array.from(this._pendingAcks.values(), (p) => p.envelope.seq));
+    try {
+      await this._audioVideo.realtimeSendDataMessage("app-data", JSON.stringify({ ...envelope, base }), 1000);
+    } catch (error) {
+      // Retransmit timer covers failed sends as well as lost messages
+      console.error("[coreChime] [_transmitReliable] Error:", error);
+    }
+  }
+
+  /* ====================================================================
+   * _scheduleRetransmit(id)
+   * Resends until every recipient acked or retries run out
+   * ==================================================================== */
+  static _scheduleRetransmit(id) {
+    const pending = this._pendingAcks.get(id);
+    if (!pending) return;
+
+    const { retransmitMs, maxRetries } = this._reliablePolicy;
+    pending.timer = setTimeout(async () => {
+      if (!this._pendingAcks.has(id)) return;
+
+      if (pending.retries >= maxRetries || !this._audioVideo) {
+        this._pendingAcks.delete(id);
+        const missing = Array.from(pending.awaiting);
+        console.warn(`[coreChime] Reliable message ${id} (${pending.envelope.flag}) undelivered to`, missing);
+        if (typeof DebugLogger !== "undefined") {
+          DebugLogger.addLog("connected", "CRITICAL", "coreChime._scheduleRetransmit", `Message "${pending.envelope.flag}" not acknowledged`, {
+            id,
+            missing,
+          });
+        }
+        this._emit("coreChime:data-undelivered", {
+          id,
+          flag: pending.envelope.flag,
+          payload: pending.envelope.payload,
+          missing,
+        });
+        pending.resolve({ delivered: false, id, missing });
+        return;
+      }
+
+      pending.retries++;
+      console.log(`[coreChime] Retransmit ${id} (${pending.retries}/${maxRetries})`);
+      await this._transmitReliable(pending.envelope);
+      this._scheduleRetransmit(id);
+    }, retransmitMs);
+  }
+
+  /* ====================================================================
+   * _handleAck(id, fromAttendeeId)
+   * ==================================================================== */
+  static _handleAck(id, fromAttendeeId) {
+    const pending = this._pendingAcks.get(id);
+    if (!pending) return; // late/duplicate ack
+
+    pending.awaiting.delete(fromAttendeeId);
+    if (pending.awaiting.size > 0) return;
+
+    clearTimeout(pending.timer);
+    this._pendingAcks.delete(id);
+    pending.resolve({ delivered: true, id, missing: [] });
+  }
+
+  /* ====================================================================
+   * _dropAwaitingAck(attendeeId)
+   * An attendee who left can no longer ack - stop waiting for them
+   * ==================================================================== */
+  static _dropAwaitingAck(attendeeId) {
+    Array.from(this._pendingAcks.keys()).forEach((id) => {
+      this._handleAck(id, attendeeId);
+    });
+  }
+
+  /* ====================================================================
+   * _receiveReliable(envelope, from)
+   * Acks, dedupes by seq and releases messages in sequence order per sender
+   * ==================================================================== */
+  static _receiveReliable(envelope, from) {
+    // Ack every copy - our previous ack may have been the one that got lost
+    try {
+      this._audioVideo.realtimeSendDataMessage(
+        "app-data",
+        JSON.stringify({ flag: "__ack", payload: { id: envelope.id, to: from.attendeeId } }),
+        1000
+      );
+    } catch (error) {
+      console.error("[coreChime] Error sending ack:", error);
+    }
+
+    const key = `${from.attendeeId}:${envelope.sid}`;
+    let stream = this._receiveStreams.get(key);
+    if (!stream) {
+      // Start where the sender says its stream still is, not at whichever
+      // message happened to arrive first - earlier ones may be in flight
+      const start = Number.isInteger(envelope.base) ? envelope.base : 1;
+      stream = { nextSeq: Math.min(start, envelope.seq), buffer: new Map(), skipped: new Set(), gapTimer: null };
+      this._receiveStreams.set(key, stream);
+    }
+
+    if (envelope.seq < stream.nextSeq) {
+      if (stream.skipped.delete(envelope.seq)) {
+        // Arrived after we skipped its gap - late beats lost
+        this._deliverReliable(envelope, from);
+      } else {
+        console.log(`[coreChime] Duplicate reliable message ${envelope.id} dropped`);
+      }
+      return;
+    }
+    if (stream.buffer.has(envelope.seq)) {
+      console.log(`[coreChime] Duplicate reliable message ${envelope.id} dropped`);
+      return;
+    }
+
+    stream.buffer.set(envelope.seq, envelope);
+    this._drainReliable(stream, from);
+  }
+
+  /* ====================================================================
+   * _drainReliable(stream, from)
+   * Delivers consecutive messages; skips a gap that outlives retransmits
+   * ==================================================================== */
+  static _drainReliable(stream, from) {
+    while (stream.buffer.has(stream.nextSeq)) {
+      const envelope = stream.buffer.get(stream.nextSeq);
+      stream.buffer.delete(stream.nextSeq);
+      stream.nextSeq++;
+      this._deliverReliable(envelope, from);
+    }
+
+    clearTimeout(stream.gapTimer);
+    stream.gapTimer = null;
+    if (stream.buffer.size === 0) return;
+
+    stream.gapTimer = setTimeout(() => {
+      const next = Math.min(...stream.buffer.keys());
+      console.warn(`[coreChime] Giving up on seq ${stream.nextSeq}..${next - 1} from ${from.attendeeId}`);
+      for (let seq = stream.nextSeq; seq < next; seq++) stream.skipped.add(seq);
+      while (stream.skipped.size > this._reliablePolicy.skippedSeqLimit) {
+        stream.skipped.delete(stream.skipped.values().next().value);
+      }
+      stream.nextSeq = next;
+      this._drainReliable(stream, from);
+    }, this._reliablePolicy.gapTimeoutMs);
+  }
+
+  /* ====================================================================
+   * _deliverReliable(envelope, from)
+   * ==================================================================== */
+  static _deliverReliable(envelope, from) {
+    this._dispatchData(envelope.flag, envelope.payload, { ...from, messageId: envelope.id });
+  }
+
+  /* ====================================================================
+   * _dispatchData(flag, payload, from)
+   * Hands a message to the app, or to reassembly if it is a chunk
+   * ==================================================================== */
+  static _dispatchData(flag, payload, from) {
+    if (flag === "__chunk") {
+      this._receiveChunk(payload, from);
+      return;
+    }
+
+    this._emit("coreChime:data-received", {
+      flag: flag || "unknown",
+      payload: payload || {},
+      from,
+    });
+  }
+
+  /* ====================================================================
+   * _sendChunked(flag, payload, bytes)
+   * Splits an oversized message into reliable chunks; resolves
+   * { delivered, transferId, missing } once every chunk is acked
+   * ==================================================================== */
+  static async _sendChunked(flag, payload, bytes) {
+    const { chunkBytes } = this._chunkPolicy;
+    const transferId = `${this._reliableSessionId}-t${++this._transferSeq}`;
+    const total = Math.ceil(bytes.length / chunkBytes);
+    const target = payload?.target || "all";
+    let sent = 0;
+
+    console.log(`[coreChime] [_sendChunked] ${flag}: ${bytes.length} bytes in ${total} chunks`, { transferId });
+
+    const results = await Promise.all(
+      Array.from({ length: total }, (_, index) => {
+        const data = this._bytesToBase64(bytes.subarray(index * chunkBytes, (index + 1) * chunkBytes));
+        return this._sendReliable("__chunk", { transferId, flag, index, total, data, target }).then((result) => {
+          if (result.delivered) {
+            sent++;
+            this._emit("coreChime:data-transfer-progress", {
+              transferId,
+              flag,
+              direction: "send",
+              completed: sent,
+              total,
+            });
+          }
+          return result;
+        });
+      })
+    );
+
+    const missing = Array.from(new Set(results.flatMap((result) => result.missing || [])));
+    if (missing.length > 0) {
+      this._emit("coreChime:data-transfer-failed", { transferId, flag, direction: "send", missing });
+      return { delivered: false, transferId, missing };
+    }
+    return { delivered: true, transferId, missing: [] };
+  }
+
+  /* ====================================================================
+   * _receiveChunk(chunk, from)
+   * Collects chunks per sender + transfer; emits the original message
+   * through data-received once all parts are in
+   * ==================================================================== */
+  static _receiveChunk(chunk, from) {
+    const { transferId, flag, index, total, data } = chunk || {};
+    if (!transferId || !Number.isInteger(index) || !Number.isInteger(total)) {
+      console.warn("[coreChime] Malformed chunk dropped", chunk);
+      return;
+    }
+
+    const key = `${from.attendeeId}:${transferId}`;
+    let transfer = this._incomingTransfers.get(key);
+    if (!transfer) {
+      transfer = { flag, total, parts: new Array(total), received: 0, timer: null };
+      this._incomingTransfers.set(key, transfer);
+    }
+    if (transfer.parts[index] !== undefined) return;
+
+    transfer.parts[index] = data;
+    transfer.received++;
+
+    // Drop a transfer that stops making progress (sender left, chunk undelivered)
+    clearTimeout(transfer.timer);
+    transfer.timer = setTimeout(() => {
+      this._incomingTransfers.delete(key);
+      console.warn(`[coreChime] Transfer ${transferId} timed out (${transfer.received}/${total})`);
+      this._emit("coreChime:data-transfer-failed", {
+        transferId,
+        flag,
+        direction: "receive",
+        from,
+        received: transfer.received,
+        total,
+      });
+    }, this._chunkPolicy.reassemblyTimeoutMs);
+
+    this._emit("coreChime:data-transfer-progress", {
+      transferId,
+      flag,
+      direction: "receive",
+      from,
+      completed: transfer.received,
+      total,
+    });
+
+    if (transfer.received < total) return;
+
+    clearTimeout(transfer.timer);
+    this._incomingTransfers.delete(key);
+
+    try {
+      // Each part is base64 on its own (padded) - decode them one by one
+      const parts = transfer.parts.map((part) => this._base64ToBytes(part));
+      const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+      let offset = 0;
+      parts.forEach((part) => {
+        bytes.set(part, offset);
+        offset += part.length;
+      });
+      const message = JSON.parse(new TextDecoder().decode(bytes));
+      console.log(`[coreChime] Transfer ${transferId} reassembled (${bytes.length} bytes)`);
+      this._dispatchData(message.flag, message.payload, { ...from, messageId: transferId });
+    } catch (error) {
+      console.error(`[coreChime] Transfer ${transferId} could not be decoded:`, error);
+      this._emit("coreChime:data-transfer-failed", { transferId, flag, direction: "receive", from, total });
+    }
+  }
+
+  /* ====================================================================
+   * _bytesToBase64(bytes) / _base64ToBytes(text)
+   * ==================================================================== */
+  static _bytesToBase64(bytes) {
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  static _base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /* ====================================================================
+   * _resetReliableState()
+   * Drops pending acks and receive streams when the session ends
+   * ==================================================================== */
+  static _resetReliableState() {
+    this._pendingAcks.forEach((pending, id) => {
+      clearTimeout(pending.timer);
+      pending.resolve({ delivered: false, id, missing: Array.from(pending.awaiting) });
+    });
+    this._pendingAcks.clear();
+    this._receiveStreams.forEach((stream) => clearTimeout(stream.gapTimer));
+    this._receiveStreams.clear();
+    this._incomingTransfers.forEach((transfer) => clearTimeout(transfer.timer));
+    this._incomingTransfers.clear();
+    this._presentAttendees.clear();
+  }
+
   /* ====================================================================
    * setMaxAttendees(n: number)
    * For scheduled meetings only
    * ==================================================================== */
   static setMaxAttendees(n) {
     console.log("[coreChime] [setMaxAttendees]", n);
-    // TODO: Implement policy enforcement
-    // This should emit an event or call backend API
-    this._emit("coreChime:max-attendees-set", { max: n });
+    this._maxAttendees = Number.isInteger(n) && n > 0 ? n : null;
+    this._emit("coreChime:max-attendees-set", { max: this._maxAttendees });
+    this._emit("coreChime:attendee-count-changed", { count: this.getAttendeeCount(), max: this._maxAttendees });
+  }
+
+  /* ====================================================================
+   * getMaxAttendees() / getAttendeeCount()
+   * Count is everyone present in the meeting, self included (0 when not joined)
+   * ==================================================================== */
+  static getMaxAttendees() {
+    return this._maxAttendees;
+  }
+
+  static getAttendeeCount() {
+    return this._audioVideo ? this._presentAttendees.size + 1 : 0;
   }
 
   /* ====================================================================
@@ -1248,17 +2243,223 @@ class coreChime {
     return this._attendeeInfo;
   }
 
+  /* ====================================================================
+   * getActiveSpeaker()
+   * Current active speaker attendeeId (null until someone speaks)
+   * ==================================================================== */
+  static getActiveSpeaker() {
+    return this._activeSpeakerId;
+  }
+
   /* ====================================================================
    * getCurrentQuality()
    * Returns current stats snapshot
+   * { level, audio, video: { tiles }, network, updatedAt } or nulls
+   * before the first metrics report arrives
    * ==================================================================== */
   static getCurrentQuality() {
-    // TODO: Implement quality metrics
-    return {
-      audio: null,
-      video: null,
-      network: null,
-    };
+    if (!this._qualitySnapshot) {
+      return {
+        level: null,
+        audio: null,
+        video: null,
+        network: null,
+        updatedAt: null,
+      };
+    }
+
+    return JSON.parse(JSON.stringify(this._qualitySnapshot));
+  }
+
+  /* ====================================================================
+   * _handleMetricsReport(clientMetricReport)
+   * Builds the quality snapshot from the SDK report and emits
+   * coreChime:quality-changed when the overall or any tile level moves
+   * ==================================================================== */
+  static _handleMetricsReport(clientMetricReport) {
+    if (!clientMetricReport) return;
+
+    try {
+      const metrics = clientMetricReport.getObservableMetrics() || {};
+      const videoMetrics =
+        typeof clientMetricReport.getObservableVideoMetrics === "function"
+          ? clientMetricReport.getObservableVideoMetrics() || {}
+          : {};
+
+      const audio = {
+        upstreamPacketLossPercent: this._metricValue(metrics.audioUpstreamPacketLossPercent),
+        downstreamPacketLossPercent: this._metricValue(
+          metrics.audioDownstreamPacketLossPercent,
+          metrics.audioPacketsReceivedFractionLoss !== undefined
+            ? metrics.audioPacketsReceivedFractionLoss * 100
+            : undefined
+        ),
+        upstreamJitterMs: this._metricValue(metrics.audioUpstreamJitterMs),
+        downstreamJitterMs: this._metricValue(metrics.audioDownstreamJitterMs),
+      };
+
+      const network = {
+        rttMs: this._metricValue(
+          metrics.currentRoundTripTimeMs,
+          metrics.audioUpstreamRoundTripTimeMs
+        ),
+        availableOutgoingBitrate: this._metricValue(
+          metrics.availableOutgoingBitrate,
+          metrics.availableSendBandwidth
+        ),
+        availableIncomingBitrate: this._metricValue(
+          metrics.availableIncomingBitrate,
+          metrics.availableReceiveBandwidth
+        ),
+      };
+
+      const tiles = this._buildTileQuality(videoMetrics);
+
+      const level = this._gradeQuality({
+        packetLossPercent: Math.max(
+          audio.upstreamPacketLossPercent || 0,
+          audio.downstreamPacketLossPercent || 0
+        ),
+        jitterMs: Math.max(audio.upstreamJitterMs || 0, audio.downstreamJitterMs || 0),
+        rttMs: network.rttMs || 0,
+      });
+
+      this._qualitySnapshot = {
+        level,
+        audio,
+        video: { tiles },
+        network,
+        updatedAt: Date.now(),
+      };
+
+      // Only emit on change - reports arrive every second
+      let changed = level !== this._qualityLevel;
+      const tileLevels = {};
+      tiles.forEach((tile) => {
+        tileLevels[tile.tileId] = tile.level;
+        if (this._tileQualityLevels[tile.tileId] !== tile.level) changed = true;
+      });
+
+      const previousLevel = this._qualityLevel;
+      this._qualityLevel = level;
+      this._tileQualityLevels = tileLevels;
+
+      if (!changed) return;
+
+      if (typeof DebugLogger !== "undefined") {
+        DebugLogger.addLog(
+          "connected",
+          level === "poor" ? "CRITICAL" : "NOTICE",
+          "coreChime._handleMetricsReport",
+          `Call quality: ${previousLevel || "none"} → ${level}`,
+          {
+            rttMs: network.rttMs,
+            audioLoss: audio.downstreamPacketLossPercent,
+            jitterMs: audio.downstreamJitterMs,
+            tiles: tileLevels,
+          }
+        );
+      }
+
+      this._emit("coreChime:quality-changed", {
+        level,
+        previousLevel,
+        attendeeId: this._localIdentifiers.attendeeId,
+        ...this.getCurrentQuality(),
+      });
+    } catch (error) {
+      console.error("[coreChime] [_handleMetricsReport] Error:", error);
+    }
+  }
+
+  /* ====================================================================
+   * _buildTileQuality(videoMetrics)
+   * Maps per-attendee SSRC video metrics onto the current video tiles
+   * ==================================================================== */
+  static _buildTileQuality(videoMetrics) {
+    const tiles = [];
+    const videoTiles =
+      typeof this._audioVideo?.getAllVideoTiles === "function"
+        ? this._audioVideo.getAllVideoTiles()
+        : [];
+
+    videoTiles.forEach((videoTile) => {
+      const state = videoTile.state();
+      if (!state || !state.boundAttendeeId) return;
+
+      // Metrics are keyed attendeeId -> ssrc -> values; take the first stream
+      const streams = videoMetrics[state.boundAttendeeId] || {};
+      const stream = Object.values(streams)[0] || {};
+      const isLocal = !!state.localTile;
+
+      const tile = {
+        tileId: state.tileId,
+        attendeeId: state.boundAttendeeId,
+        isLocal,
+        isContent: !!state.isContent,
+        direction: isLocal ? "send" : "receive",
+        bitrate: this._metricValue(
+          isLocal ? stream.videoUpstreamBitrate : stream.videoDownstreamBitrate
+        ),
+        width: this._metricValue(
+          isLocal ? stream.videoUpstreamFrameWidth : stream.videoDownstreamFrameWidth,
+          state.videoStreamContentWidth
+        ),
+        height: this._metricValue(
+          isLocal ? stream.videoUpstreamFrameHeight : stream.videoDownstreamFrameHeight,
+          state.videoStreamContentHeight
+        ),
+        framesPerSecond: this._metricValue(
+          isLocal
+            ? stream.videoUpstreamFramesEncodedPerSecond
+            : stream.videoDownstreamFramesDecodedPerSecond
+        ),
+        packetLossPercent: this._metricValue(
+          isLocal ? stream.videoUpstreamPacketLossPercent : stream.videoDownstreamPacketLossPercent
+        ),
+        jitterMs: this._metricValue(
+          isLocal ? stream.videoUpstreamJitterMs : stream.videoDownstreamJitterMs
+        ),
+      };
+
+      tile.level = this._gradeQuality({
+        packetLossPercent: tile.packetLossPercent || 0,
+        jitterMs: tile.jitterMs || 0,
+        rttMs: isLocal ? this._metricValue(stream.videoUpstreamRoundTripTimeMs) || 0 : 0,
+      });
+
+      tiles.push(tile);
+    });
+
+    return tiles;
+  }
+
+  /* ====================================================================
+   * _gradeQuality({ packetLossPercent, jitterMs, rttMs })
+   * Returns "good" | "fair" | "poor" against _qualityThresholds
+   * ==================================================================== */
+  static _gradeQuality({ packetLossPercent = 0, jitterMs = 0, rttMs = 0 }) {
+    const exceeds = (limits) =>
+      packetLossPercent >= limits.packetLossPercent ||
+      jitterMs >= limits.jitterMs ||
+      rttMs >= limits.rttMs;
+
+    if (exceeds(this._qualityThresholds.poor)) return "poor";
+    if (exceeds(this._qualityThresholds.fair)) return "fair";
+    return "good";
+  }
+
+  /* ====================================================================
+   * _metricValue(...candidates)
+   * First finite number among candidates, rounded to 2 decimals
+   * ==================================================================== */
+  static _metricValue(...candidates) {
+    for (const value of candidates) {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        return Math.round(value * 100) / 100;
+      }
+    }
+    return null;
   }
 
   /* ====================================================================
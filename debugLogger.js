@@ -9,6 +9,8 @@ class DebugLogger {
   static _maxLogs = 100;
   static _logs = [];
   static _currentState = "unknown";
+  // Ties reports sent from this page (e.g. call feedback) to its log
+  static sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 
   /* ====================================================================
    * Initialize the debug logger UI
@@ -28,7 +30,7 @@ class DebugLogger {
     this._logContainer = logContainer;
 
     // Log initialization
-    this.addLog("initialize", "NOTICE", "DebugLogger.init", "Logger Initialized");
+    this.addLog("initialize", "NOTICE", "DebugLogger.init", `Logger Initialized (session ${this.sessionId})`);
 
     console.log("[DebugLogger] ✅ Initialized");
   }
@@ -0,0 +1,734 @@
+/* ========================================================================
+ * fakeChimeSDK.js
+ * Offline stand-in for the Amazon Chime SDK - the surface coreChime uses:
+ *   ConsoleLogger, LogLevel, DefaultDeviceController, MeetingSessionConfiguration,
+ *   DefaultMeetingSession (audioVideo), MeetingSessionStatus(Code)
+ * Sessions in the same page meet on FakeMeetingBus by MeetingId:
+ *   presence, volume indicator, mute, data messages and video/content tiles.
+ * Not installed unless asked for - load after the real SDK and enable with
+ * ?fakeChime=1 or window.fakeChimeConfig = { enabled: true } (replaces window.ChimeSDK).
+ * Test helpers: FakeChimeSDK.createMeetingInfo(), joinBot(), endMeeting(),
+ * removeAttendee(), dropConnection() - see bottom of file.
+ * ======================================================================== */
+
+const FakeLogLevel = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3, OFF: 4 };
+
+// Same numbering as the SDK enum; reverse-mapped like a TS enum (code -> name)
+const FakeMeetingSessionStatusCode = {};
+[
+  "OK",
+  "Left",
+  "AudioJoinedFromAnotherDevice",
+  "AudioDisconnectAudio",
+  "AudioAuthenticationRejected",
+  "AudioCallAtCapacity",
+  "AudioCallEnded",
+  "AudioInternalServerError",
+  "AudioServiceUnavailable",
+  "AudioDisconnected",
+  "VideoCallSwitchToViewOnly",
+  "VideoCallAtSourceCapacity",
+  "SignalingBadRequest",
+  "SignalingInternalServerError",
+  "SignalingRequestFailed",
+  "StateMachineTransitionFailed",
+  "ICEGatheringTimeoutWorkaround",
+  "ConnectionHealthReconnect",
+  "RealtimeApiFailed",
+  "TaskFailed",
+  "AudioDeviceSwitched",
+  "IncompatibleSDP",
+  "TURNCredentialsForbidden",
+  "NoAttendeePresent",
+  "MeetingEnded",
+  "AudioAttendeeRemoved",
+].forEach((name, code) => {
+  FakeMeetingSessionStatusCode[name] = code;
+  FakeMeetingSessionStatusCode[code] = name;
+});
+
+class FakeMeetingSessionStatus {
+  static _terminalCodes = [
+    "Left",
+    "AudioJoinedFromAnotherDevice",
+    "AudioAuthenticationRejected",
+    "AudioCallAtCapacity",
+    "MeetingEnded",
+    "AudioAttendeeRemoved",
+  ];
+
+  constructor(statusCode) {
+    this._statusCode = statusCode;
+  }
+
+  statusCode() {
+    return this._statusCode;
+  }
+
+  isTerminal() {
+    return FakeMeetingSessionStatus._terminalCodes.includes(FakeMeetingSessionStatusCode[this._statusCode]);
+  }
+}
+
+class FakeConsoleLogger {
+  constructor(name, level = FakeLogLevel.WARN) {
+    this.name = name;
+    this.level = level;
+  }
+
+  debug(msg) {
+    if (this.level <= FakeLogLevel.DEBUG) console.debug(`[${this.name}]`, typeof msg === "function" ? msg() : msg);
+  }
+  info(msg) {
+    if (this.level <= FakeLogLevel.INFO) console.info(`[${this.name}]`, msg);
+  }
+  warn(msg) {
+    if (this.level <= FakeLogLevel.WARN) console.warn(`[${this.name}]`, msg);
+  }
+  error(msg) {
+    if (this.level <= FakeLogLevel.ERROR) console.error(`[${this.name}]`, msg);
+  }
+  setLogLevel(level) {
+    this.level = level;
+  }
+  getLogLevel() {
+    return this.level;
+  }
+}
+
+class FakeDefaultDeviceController {
+  constructor(logger) {
+    this.logger = logger;
+  }
+}
+
+class FakeMeetingSessionConfiguration {
+  constructor(meeting, attendee) {
+    const m = meeting?.Meeting || meeting || {};
+    const a = attendee?.Attendee || attendee || {};
+    this.meetingId = m.MeetingId;
+    this.externalMeetingId = m.ExternalMeetingId || null;
+    this.credentials = {
+      attendeeId: a.AttendeeId,
+      externalUserId: a.ExternalUserId || null,
+      joinToken: a.JoinToken || null,
+    };
+  }
+}
+
+class FakeDefaultMeetingSession {
+  constructor(configuration, logger, deviceController) {
+    this.configuration = configuration;
+    this.logger = logger;
+    this.deviceController = deviceController;
+    this.audioVideo = new FakeAudioVideo(configuration, logger);
+  }
+}
+
+/* ====================================================================
+ * FakeVideoTile - getAllVideoTiles() entries expose state() like the SDK
+ * ==================================================================== */
+class FakeVideoTile {
+  constructor(tileState) {
+    this._state = tileState;
+  }
+
+  state() {
+    return { ...this._state };
+  }
+}
+
+/* ====================================================================
+ * FakeMeetingBus - in-page "server": meetingId -> attendeeId -> audioVideo
+ * ==================================================================== */
+class FakeMeetingBus {
+  static _meetings = new Map();
+
+  static join(av) {
+    let roster = this._meetings.get(av._meetingId);
+    if (!roster) {
+      roster = new Map();
+      this._meetings.set(av._meetingId, roster);
+    }
+
+    // Same attendee joining again (reconnect, second tab) replaces the old session
+    const previous = roster.get(av._attendeeId);
+    if (previous && previous !== av) {
+      previous._stopWithStatus("AudioJoinedFromAnotherDevice");
+    }
+
+    const others = Array.from(roster.values());
+    roster.set(av._attendeeId, av);
+    return others;
+  }
+
+  static leave(av) {
+    const roster = this._meetings.get(av._meetingId);
+    if (!roster || roster.get(av._attendeeId) !== av) return;
+    roster.delete(av._attendeeId);
+    roster.forEach((peer) => peer._onPeerLeft(av));
+    if (roster.size === 0) this._meetings.delete(av._meetingId);
+  }
+
+  static peers(av) {
+    const roster = this._meetings.get(av._meetingId);
+    if (!roster) return [];
+    return Array.from(roster.values()).filter((peer) => peer !== av);
+  }
+
+  static roster(meetingId) {
+    return Array.from(this._meetings.get(meetingId)?.values() || []);
+  }
+}
+
+/* ====================================================================
+ * FakeAudioVideo - the meetingSession.audioVideo facade
+ * ==================================================================== */
+class FakeAudioVideo {
+  static _devices = {
+    audioinput: [{ deviceId: "fake-mic", label: "Fake Microphone", kind: "audioinput", groupId: "fake" }],
+    videoinput: [{ deviceId: "fake-camera", label: "Fake Camera", kind: "videoinput", groupId: "fake" }],
+    audiooutput: [{ deviceId: "fake-speaker", label: "Fake Speaker", kind: "audiooutput", groupId: "fake" }],
+  };
+
+  static _maxDataMessageBytes = 2048;
+
+  constructor(configuration, logger) {
+    this._meetingId = configuration.meetingId;
+    this._attendeeId = configuration.credentials.attendeeId;
+    this._externalUserId = configuration.credentials.externalUserId;
+    this._logger = logger;
+
+    this._observers = new Set();
+    this._contentShareObservers = new Set();
+    this._presenceCallbacks = new Set();
+    this._volumeCallbacks = new Set();
+    this._dataCallbacks = new Map(); // topic -> Set(callback)
+
+    this._started = false;
+    this._joined = false; // on the bus - start() joins one tick later
+    this._muted = false;
+    this._volume = 0;
+    this._audioInput = null;
+    this._videoInput = null;
+    this._localVideo = false;
+    this._localStream = null;
+    this._contentStream = null;
+
+    this._nextTileId = 1;
+    this._tiles = new Map(); // tileId -> tileState
+    this._boundElements = new Map(); // tileId -> HTMLVideoElement
+  }
+
+  get _contentAttendeeId() {
+    return `${this._attendeeId}#content`;
+  }
+
+  /* ---------- observers ---------- */
+  addObserver(observer) {
+    this._observers.add(observer);
+  }
+
+  removeObserver(observer) {
+    this._observers.delete(observer);
+  }
+
+  addContentShareObserver(observer) {
+    this._contentShareObservers.add(observer);
+  }
+
+  removeContentShareObserver(observer) {
+    this._contentShareObservers.delete(observer);
+  }
+
+  _notify(observers, method, ...args) {
+    observers.forEach((observer) => {
+      if (typeof observer[method] !== "function") return;
+      try {
+        observer[method](...args);
+      } catch (error) {
+        console.error(`[FakeChimeSDK] Observer ${method} threw:`, error);
+      }
+    });
+  }
+
+  /* ---------- devices ---------- */
+  async listAudioInputDevices() {
+    return [...FakeAudioVideo._devices.audioinput];
+  }
+  async listVideoInputDevices() {
+    return [...FakeAudioVideo._devices.videoinput];
+  }
+  async listAudioOutputDevices() {
+    return [...FakeAudioVideo._devices.audiooutput];
+  }
+
+  async chooseAudioInputDevice(device) {
+    this._audioInput = device;
+  }
+  async startAudioInput(device) {
+    this._audioInput = device;
+  }
+  async stopAudioInput() {
+    this._audioInput = null;
+  }
+  async chooseVideoInputDevice(device) {
+    this._videoInput = device;
+  }
+  async startVideoInput(device) {
+    this._videoInput = device;
+  }
+  async stopVideoInput() {
+    this._videoInput = null;
+    if (this._localVideo) this.stopLocalVideoTile();
+  }
+  async chooseAudioOutputDevice() {}
+  async bindAudioElement() {
+    return true;
+  }
+
+  /* ---------- session lifecycle ---------- */
+  start() {
+    if (this._started) return;
+    this._started = true;
+
+    // Async like the real SDK: observers fire after start() returns
+    setTimeout(() => {
+      if (!this._started) return;
+
+      const others = FakeMeetingBus.join(this);
+      this._joined = true;
+      this._notify(this._observers, "audioVideoDidStart");
+
+      // Existing roster, then ourselves (the SDK reports self presence too)
+      others.forEach((peer) => {
+        this._emitPresence(peer._attendeeId, true, peer._externalUserId);
+        this._emitVolume(peer._attendeeId, peer._volume, peer._muted, 1);
+        if (peer._contentStream) {
+          this._emitPresence(peer._contentAttendeeId, true, peer._externalUserId);
+          this._addRemoteTile(peer._contentAttendeeId, peer._contentStream, true);
+        }
+        if (peer._localVideo) {
+          this._addRemoteTile(peer._attendeeId, peer._localStream, false);
+        }
+      });
+      this._emitPresence(this._attendeeId, true, this._externalUserId);
+      this._emitVolume(this._attendeeId, this._volume, this._muted, 1);
+
+      others.forEach((peer) => peer._onPeerJoined(this));
+    }, 0);
+  }
+
+  stop() {
+    this._stopWithStatus("Left");
+  }
+
+  _stopWithStatus(codeName) {
+    if (!this._started) return;
+    this._started = false;
+
+    if (this._contentStream) this._endContentShare();
+    this._localVideo = false;
+    this._stopStream(this._localStream);
+    this._localStream = null;
+
+    FakeMeetingBus.leave(this);
+    this._joined = false;
+
+    Array.from(this._tiles.keys()).forEach((tileId) => this._removeTile(tileId));
+    this._notify(
+      this._observers,
+      "audioVideoDidStop",
+      new FakeMeetingSessionStatus(FakeMeetingSessionStatusCode[codeName])
+    );
+  }
+
+  _onPeerJoined(peer) {
+    this._emitPresence(peer._attendeeId, true, peer._externalUserId);
+    this._emitVolume(peer._attendeeId, peer._volume, peer._muted, 1);
+    if (peer._localVideo) {
+      this._addRemoteTile(peer._attendeeId, peer._localStream, false);
+    }
+  }
+
+  _onPeerLeft(peer) {
+    this._removeTilesFor(peer._attendeeId);
+    this._removeTilesFor(peer._contentAttendeeId);
+    this._emitPresence(peer._attendeeId, false, peer._externalUserId);
+  }
+
+  /* ---------- presence + volume ---------- */
+  realtimeSubscribeToAttendeeIdPresence(callback) {
+    this._presenceCallbacks.add(callback);
+  }
+
+  realtimeUnsubscribeToAttendeeIdPresence(callback) {
+    this._presenceCallbacks.delete(callback);
+  }
+
+  realtimeSubscribeToVolumeIndicator(callback) {
+    this._volumeCallbacks.add(callback);
+  }
+
+  _emitPresence(attendeeId, present, externalUserId) {
+    this._presenceCallbacks.forEach((callback) => callback(attendeeId, present, externalUserId, false));
+  }
+
+  _emitVolume(attendeeId, volume, muted, signalStrength) {
+    this._volumeCallbacks.forEach((callback) => callback(attendeeId, volume, muted, signalStrength));
+  }
+
+  _broadcastVolume(volume, muted) {
+    this._emitVolume(this._attendeeId, volume, muted, null);
+    FakeMeetingBus.peers(this).forEach((peer) => peer._emitVolume(this._attendeeId, volume, muted, null));
+  }
+
+  realtimeMuteLocalAudio() {
+    this._muted = true;
+    this._broadcastVolume(null, true);
+  }
+
+  realtimeUnmuteLocalAudio() {
+    this._muted = false;
+    this._broadcastVolume(null, false);
+    return true;
+  }
+
+  realtimeIsLocalAudioMuted() {
+    return this._muted;
+  }
+
+  // Fake only: drive speaking detection from tests (0..1)
+  fakeSetVolume(volume) {
+    this._volume = volume;
+    this._broadcastVolume(volume, null);
+  }
+
+  /* ---------- data messages ---------- */
+  realtimeSubscribeToReceiveDataMessage(topic, callback) {
+    if (!this._dataCallbacks.has(topic)) this._dataCallbacks.set(topic, new Set());
+    this._dataCallbacks.get(topic).add(callback);
+  }
+
+  realtimeUnsubscribeFromReceiveDataMessage(topic) {
+    this._dataCallbacks.delete(topic);
+  }
+
+  realtimeSendDataMessage(topic, data, lifetimeMs = 0) {
+    const bytes = typeof data === "string" ? new TextEncoder().encode(data) : new Uint8Array(data);
+    if (bytes.length > FakeAudioVideo._maxDataMessageBytes) {
+      throw new Error(`Data size has to be less than ${FakeAudioVideo._maxDataMessageBytes} bytes`);
+    }
+    if (!this._joined) return;
+
+    // Delivered to everyone else, never echoed back to the sender
+    const timestampMs = Date.now();
+    FakeMeetingBus.peers(this).forEach((peer) => {
+      setTimeout(() => {
+        peer._receiveData({
+          timestampMs,
+          topic,
+          data: bytes,
+          senderAttendeeId: this._attendeeId,
+          senderExternalUserId: this._externalUserId,
+          throttled: false,
+          text: () => new TextDecoder().decode(bytes),
+          json: () => JSON.parse(new TextDecoder().decode(bytes)),
+        });
+      }, 0);
+    });
+  }
+
+  _receiveData(dataMessage) {
+    if (!this._joined) return;
+    this._dataCallbacks.get(dataMessage.topic)?.forEach((callback) => callback(dataMessage));
+  }
+
+  /* ---------- video tiles ---------- */
+  startLocalVideoTile() {
+    if (this._localVideo) return this._localTileId();
+    this._localVideo = true;
+    this._localStream = this._localStream || this._createFakeStream(this._externalUserId || this._attendeeId);
+
+    const tileId = this._localTileId() || this._nextTileId++;
+    this._upsertTile({
+      tileId,
+      localTile: true,
+      isContent: false,
+      boundAttendeeId: this._attendeeId,
+      boundExternalUserId: this._externalUserId,
+      boundVideoStream: this._localStream,
+      active: true,
+      paused: false,
+    });
+
+    if (this._joined) {
+      FakeMeetingBus.peers(this).forEach((peer) => peer._addRemoteTile(this._attendeeId, this._localStream, false));
+    }
+    return tileId;
+  }
+
+  stopLocalVideoTile() {
+    if (!this._localVideo) return;
+    this._localVideo = false;
+
+    // Local tile stays (no stream) like the SDK; peers lose the remote tile
+    const tileId = this._localTileId();
+    if (tileId) {
+      this._upsertTile({ ...this._tiles.get(tileId), boundVideoStream: null, active: false });
+    }
+    FakeMeetingBus.peers(this).forEach((peer) => peer._removeTilesFor(this._attendeeId));
+    this._stopStream(this._localStream);
+    this._localStream = null;
+  }
+
+  getAllVideoTiles() {
+    return Array.from(this._tiles.values()).map((state) => new FakeVideoTile(state));
+  }
+
+  getLocalVideoTile() {
+    const tileId = this._localTileId();
+    return tileId ? new FakeVideoTile(this._tiles.get(tileId)) : null;
+  }
+
+  bindVideoElement(tileId, videoElement) {
+    const state = this._tiles.get(tileId);
+    if (!state || !videoElement) return;
+    this._boundElements.set(tileId, videoElement);
+    videoElement.srcObject = state.boundVideoStream || null;
+    videoElement.muted = true;
+    videoElement.play?.().catch(() => {});
+  }
+
+  unbindVideoElement(tileId) {
+    const videoElement = this._boundElements.get(tileId);
+    if (videoElement) videoElement.srcObject = null;
+    this._boundElements.delete(tileId);
+  }
+
+  _localTileId() {
+    for (const [tileId, state] of this._tiles) {
+      if (state.localTile) return tileId;
+    }
+    return null;
+  }
+
+  _addRemoteTile(attendeeId, stream, isContent) {
+    const existing = Array.from(this._tiles.values()).find((state) => state.boundAttendeeId === attendeeId);
+    this._upsertTile({
+      tileId: existing ? existing.tileId : this._nextTileId++,
+      localTile: false,
+      isContent,
+      boundAttendeeId: attendeeId,
+      boundExternalUserId: null,
+      boundVideoStream: stream,
+      active: true,
+      paused: false,
+    });
+  }
+
+  _upsertTile(state) {
+    this._tiles.set(state.tileId, state);
+    const videoElement = this._boundElements.get(state.tileId);
+    if (videoElement) videoElement.srcObject = state.boundVideoStream || null;
+    this._notify(this._observers, "videoTileDidUpdate", { ...state });
+  }
+
+  _removeTilesFor(attendeeId) {
+    Array.from(this._tiles.values())
+      .filter((state) => state.boundAttendeeId === attendeeId && !state.localTile)
+      .forEach((state) => this._removeTile(state.tileId));
+  }
+
+  _removeTile(tileId) {
+    if (!this._tiles.has(tileId)) return;
+    this.unbindVideoElement(tileId);
+    this._tiles.delete(tileId);
+    this._notify(this._observers, "videoTileWasRemoved", tileId);
+  }
+
+  /* ---------- content share ---------- */
+  async startContentShare(stream) {
+    if (!this._joined) throw new Error("Session not started");
+    this._contentStream = stream || this._createFakeStream(`${this._externalUserId || this._attendeeId} (screen)`);
+
+    const contentId = this._contentAttendeeId;
+    this._emitPresence(contentId, true, this._externalUserId);
+    FakeMeetingBus.peers(this).forEach((peer) => {
+      peer._emitPresence(contentId, true, this._externalUserId);
+      peer._addRemoteTile(contentId, this._contentStream, true);
+    });
+    this._notify(this._contentShareObservers, "contentShareDidStart");
+  }
+
+  async startContentShareFromScreenCapture() {
+    return this.startContentShare(null);
+  }
+
+  stopContentShare() {
+    if (!this._contentStream) return;
+    this._endContentShare();
+  }
+
+  _endContentShare() {
+    const contentId = this._contentAttendeeId;
+    this._stopStream(this._contentStream);
+    this._contentStream = null;
+
+    this._emitPresence(contentId, false, this._externalUserId);
+    FakeMeetingBus.peers(this).forEach((peer) => {
+      peer._removeTilesFor(contentId);
+      peer._emitPresence(contentId, false, this._externalUserId);
+    });
+    this._notify(this._contentShareObservers, "contentShareDidStop");
+  }
+
+  /* ---------- fake media ---------- */
+  _createFakeStream(label) {
+    if (typeof document === "undefined") return null;
+    const canvas = document.createElement("canvas");
+    if (typeof canvas.captureStream !== "function") return null;
+
+    canvas.width = 320;
+    canvas.height = 180;
+    const ctx = canvas.getContext("2d");
+    let hue = 0;
+    for (const ch of String(label)) hue = (hue * 31 + ch.charCodeAt(0)) % 360;
+
+    const draw = () => {
+      ctx.fillStyle = `hsl(${hue}, 45%, 35%)`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = "#fff";
+      ctx.font = "16px sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillText(String(label), canvas.width / 2, canvas.height / 2);
+      ctx.fillText(new Date().toLocaleTimeString(), canvas.width / 2, canvas.height / 2 + 22);
+    };
+    draw();
+
+    const stream = canvas.captureStream(5);
+    stream._fakeTimer = setInterval(draw, 1000);
+    return stream;
+  }
+
+  _stopStream(stream) {
+    if (!stream) return;
+    clearInterval(stream._fakeTimer);
+    stream.getTracks?.().forEach((track) => track.stop());
+  }
+}
+
+/* ====================================================================
+ * FakeChimeSDK - what window.ChimeSDK points at, plus test helpers
+ * ==================================================================== */
+class FakeChimeSDK {
+  static ConsoleLogger = FakeConsoleLogger;
+  static LogLevel = FakeLogLevel;
+  static DefaultDeviceController = FakeDefaultDeviceController;
+  static MeetingSessionConfiguration = FakeMeetingSessionConfiguration;
+  static DefaultMeetingSession = FakeDefaultMeetingSession;
+  static MeetingSessionStatus = FakeMeetingSessionStatus;
+  static MeetingSessionStatusCode = FakeMeetingSessionStatusCode;
+  static Bus = FakeMeetingBus;
+
+  static _realSDK = null;
+  static _idSeq = 0;
+
+  /* ====================================================================
+   * install() / uninstall() - swap window.ChimeSDK
+   * ==================================================================== */
+  static install() {
+    if (window.ChimeSDK === this) return;
+    this._realSDK = window.ChimeSDK || null;
+    window.ChimeSDK = this;
+    console.log("[FakeChimeSDK] Installed as window.ChimeSDK (offline mode)");
+  }
+
+  static uninstall() {
+    if (window.ChimeSDK !== this) return;
+    window.ChimeSDK = this._realSDK;
+    this._realSDK = null;
+    console.log("[FakeChimeSDK] Uninstalled - real SDK restored");
+  }
+
+  static _id(prefix) {
+    this._idSeq += 1;
+    return `${prefix}-${Date.now().toString(36)}-${this._idSeq}`;
+  }
+
+  /* ====================================================================
+   * createMeetingInfo({ meetingId, externalUserId, role })
+   * Same shape as the ?meetingInfo link: { MeetingId, Meeting, Attendee, role }
+   * ==================================================================== */
+  static createMeetingInfo({ meetingId = null, externalUserId = null, role = "attendee" } = {}) {
+    const id = meetingId || this._id("fake-meeting");
+    const attendeeId = this._id("fake-attendee");
+    return {
+      MeetingId: id,
+      Meeting: {
+        MeetingId: id,
+        ExternalMeetingId: id,
+        MediaRegion: "local",
+        MediaPlacement: {
+          AudioHostUrl: "fake://audio",
+          AudioFallbackUrl: "fake://audio-fallback",
+          SignalingUrl: "fake://signaling",
+          TurnControlUrl: "fake://turn",
+          EventIngestionUrl: "fake://events",
+          ScreenDataUrl: "fake://screen-data",
+          ScreenSharingUrl: "fake://screen-sharing",
+          ScreenViewingUrl: "fake://screen-viewing",
+        },
+      },
+      Attendee: {
+        AttendeeId: attendeeId,
+        ExternalUserId: externalUserId || `${role === "host" ? "host" : role === "collaborator" ? "collab" : "attendee"}-${attendeeId}`,
+        JoinToken: `fake-token-${attendeeId}`,
+      },
+      role,
+    };
+  }
+
+  /* ====================================================================
+   * joinBot({ meetingInfo, video }) - second in-page attendee
+   * Returns its audioVideo (send data, mute, fakeSetVolume, stop)
+   * ==================================================================== */
+  static joinBot({ meetingInfo, video = true } = {}) {
+    const configuration = new FakeMeetingSessionConfiguration(meetingInfo.Meeting, meetingInfo.Attendee);
+    const logger = new FakeConsoleLogger("FakeBot", FakeLogLevel.WARN);
+    const session = new FakeDefaultMeetingSession(configuration, logger, new FakeDefaultDeviceController(logger));
+    session.audioVideo.start();
+    if (video) session.audioVideo.startLocalVideoTile();
+    console.log("[FakeChimeSDK] Bot joined", meetingInfo.Attendee.ExternalUserId);
+    return session.audioVideo;
+  }
+
+  /* ====================================================================
+   * Server-side events
+   * ==================================================================== */
+  static endMeeting(meetingId) {
+    FakeMeetingBus.roster(meetingId).forEach((av) => av._stopWithStatus("MeetingEnded"));
+  }
+
+  static removeAttendee(meetingId, attendeeId) {
+    FakeMeetingBus.roster(meetingId)
+      .filter((av) => av._attendeeId === attendeeId)
+      .forEach((av) => av._stopWithStatus("AudioAttendeeRemoved"));
+  }
+
+  // Non-terminal stop - exercises coreChime's reconnect loop
+  static dropConnection(meetingId, attendeeId) {
+    FakeMeetingBus.roster(meetingId)
+      .filter((av) => av._attendeeId === attendeeId)
+      .forEach((av) => av._stopWithStatus("SignalingInternalServerError"));
+  }
+}
+
+window.FakeChimeSDK = FakeChimeSDK;
+
+if (
+  new URLSearchParams(window.location.search).get("fakeChime") === "1" ||
+  window.fakeChimeConfig?.enabled
+) {
+  FakeChimeSDK.install();
+}
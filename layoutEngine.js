@@ -0,0 +1,210 @@
+/* ======================================================================
+ * LayoutEngine - Group Call Tile Layout (N participants)
+ * Places the visible tiles of #video-containers in one of three modes:
+ *   grid    - equal tiles, as square as possible
+ *   speaker - main tile on top, filmstrip of everyone else below
+ *   sidebar - main tile on the left, everyone else stacked on the right
+ * Which tiles are visible stays with chimeHandler._shouldShowVideo -
+ * hidden tiles are never placed.
+ * Main tile: spotlight (host, everyone) > pin (local) > active speaker.
+ * A pinned or spotlighted tile turns grid mode into speaker mode.
+ * ==================================================================== */
+class LayoutEngine {
+  static _modes = ["grid", "speaker", "sidebar"];
+  static _mode = "grid";
+  static _pinnedAttendeeId = null;
+  static _spotlightAttendeeId = null;
+  static _activeSpeakerId = null;
+  static _attachedStage = null;
+
+  // Tile order on stage: host, collaborators (by slot), attendee
+  static _roleOrder = { host: 0, collaborator: 1, attendee: 2 };
+  static _filmstripHeight = "9rem";
+  static _sidebarWidth = "16rem";
+
+  /* ====================================================================
+   * attach(stage) - Wire double-click to pin/unpin a tile
+   * ==================================================================== */
+  static attach(stage) {
+    if (!stage || this._attachedStage === stage) return;
+    this._attachedStage = stage;
+
+    stage.addEventListener("dblclick", (e) => {
+      const tile = e.target.closest("[data-container-type]");
+      const attendeeId = tile?.getAttribute("data-attendee-id");
+      if (!attendeeId || tile.getAttribute("data-container-type") === "content") return;
+      this.togglePin(attendeeId);
+    });
+
+    console.log("[LayoutEngine] Attached to stage (double-click a tile to pin)");
+  }
+
+  /* ====================================================================
+   * State setters - each one asks the layout system to re-apply
+   * ==================================================================== */
+  static setMode(mode) {
+    if (!this._modes.includes(mode)) {
+      console.warn(`[LayoutEngine] Unknown mode: ${mode}`);
+      return;
+    }
+    this._mode = mode;
+    this._emitChange("mode");
+  }
+
+  static pin(attendeeId) {
+    this._pinnedAttendeeId = attendeeId || null;
+    this._emitChange("pin");
+  }
+
+  static unpin() {
+    this.pin(null);
+  }
+
+  static togglePin(attendeeId) {
+    this.pin(this._pinnedAttendeeId === attendeeId ? null : attendeeId);
+  }
+
+  static spotlight(attendeeId) {
+    this._spotlightAttendeeId = attendeeId || null;
+    this._emitChange("spotlight");
+  }
+
+  static setActiveSpeaker(attendeeId) {
+    if (this._activeSpeakerId === attendeeId) return;
+    this._activeSpeakerId = attendeeId || null;
+
+    // Only speaker/sidebar modes follow the active speaker
+    if (this._mode !== "grid") {
+      this._emitChange("active-speaker");
+    }
+  }
+
+  static getState() {
+    return {
+      mode: this._mode,
+      pinnedAttendeeId: this._pinnedAttendeeId,
+      spotlightAttendeeId: this._spotlightAttendeeId,
+      activeSpeakerId: this._activeSpeakerId,
+    };
+  }
+
+  /* ====================================================================
+   * getTiles(stage) - All participant tiles in stage order
+   * Includes hidden ones; content share is not a participant tile
+   * ==================================================================== */
+  static getTiles(stage) {
+    if (!stage) return [];
+    return Array.from(stage.querySelectorAll("[data-container-type]"))
+      .filter((el) => el.getAttribute("data-container-type") !== "content")
+      .sort((a, b) => {
+        const roleA = this._roleOrder[a.getAttribute("data-container-type")] ?? 3;
+        const roleB = this._roleOrder[b.getAttribute("data-container-type")] ?? 3;
+        if (roleA !== roleB) return roleA - roleB;
+        return Number(a.getAttribute("data-collab-index") || 0) - Number(b.getAttribute("data-collab-index") || 0);
+      });
+  }
+
+  /* ====================================================================
+   * layout(stage, tiles) - Place visible tiles for the current mode
+   * Returns { mode, main, count } describing what was applied
+   * ==================================================================== */
+  static layout(stage, tiles = this.getTiles(stage)) {
+    const visible = tiles.filter((el) => !el.classList.contains("hidden"));
+    const localAttendeeId =
+      typeof coreChime !== "undefined" ? coreChime.getLocalIdentifiers().attendeeId : null;
+
+    let mode = this._mode;
+    let main =
+      this._findTile(visible, this._spotlightAttendeeId) || this._findTile(visible, this._pinnedAttendeeId);
+
+    if (main && mode === "grid") {
+      mode = "speaker";
+    }
+    if (!main && mode !== "grid") {
+      // Never default to our own tile as main
+      main =
+        this._findTile(visible, this._activeSpeakerId) ||
+        visible.find((el) => el.getAttribute("data-attendee-id") !== localAttendeeId) ||
+        visible[0] ||
+        null;
+    }
+
+    this.reset(stage, tiles);
+    const others = visible.filter((el) => el !== main);
+
+    if (mode === "grid") {
+      const columns = Math.max(1, Math.ceil(Math.sqrt(visible.length)));
+      const rows = Math.max(1, Math.ceil(visible.length / columns));
+      stage.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+      stage.style.gridTemplateRows = `repeat(${rows}, minmax(0, 1fr))`;
+    } else if (mode === "speaker") {
+      const columns = Math.max(1, others.length);
+      stage.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+      stage.style.gridTemplateRows = others.length ? `minmax(0, 1fr) ${this._filmstripHeight}` : "minmax(0, 1fr)";
+      if (main) {
+        main.style.gridColumn = "1 / -1";
+        main.style.gridRow = "1";
+      }
+      others.forEach((el) => {
+        el.style.gridRow = "2";
+      });
+    } else if (mode === "sidebar") {
+      const rows = Math.max(1, others.length);
+      stage.style.gridTemplateColumns = others.length ? `minmax(0, 1fr) ${this._sidebarWidth}` : "minmax(0, 1fr)";
+      stage.style.gridTemplateRows = `repeat(${rows}, minmax(0, 1fr))`;
+      if (main) {
+        main.style.gridColumn = "1";
+        main.style.gridRow = "1 / -1";
+      }
+      others.forEach((el) => {
+        el.style.gridColumn = "2";
+      });
+    }
+
+    // Keep stage order stable: main first, then the rest in role order
+    [main, ...others].filter(Boolean).forEach((el, index) => {
+      el.style.order = String(index);
+    });
+
+    stage.setAttribute("data-layout-mode", mode);
+    visible.forEach((el) => {
+      el.setAttribute("data-layout-main", el === main ? "true" : "false");
+      el.setAttribute("data-pinned", el.getAttribute("data-attendee-id") === this._pinnedAttendeeId ? "true" : "false");
+    });
+
+    return { mode, main: main?.id || null, count: visible.length };
+  }
+
+  /* ====================================================================
+   * reset(stage, tiles) - Drop inline placement so class-based layouts
+   * (1:1 main/mini, content share) apply cleanly
+   * ==================================================================== */
+  static reset(stage, tiles = this.getTiles(stage)) {
+    if (!stage) return;
+    stage.style.gridTemplateColumns = "";
+    stage.style.gridTemplateRows = "";
+    stage.removeAttribute("data-layout-mode");
+    tiles.forEach((el) => {
+      el.style.gridColumn = "";
+      el.style.gridRow = "";
+      el.style.order = "";
+      el.removeAttribute("data-layout-main");
+    });
+  }
+
+  static _findTile(tiles, attendeeId) {
+    if (!attendeeId) return null;
+    return tiles.find((el) => el.getAttribute("data-attendee-id") === attendeeId) || null;
+  }
+
+  static _emitChange(reason) {
+    console.log(`[LayoutEngine] ${reason} changed`, this.getState());
+    window.dispatchEvent(
+      new CustomEvent("layoutEngine:changed", {
+        detail: { reason, ...this.getState() },
+      })
+    );
+  }
+}
+
+window.LayoutEngine = LayoutEngine;
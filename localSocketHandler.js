@@ -0,0 +1,150 @@
+/* ========================================================================
+ * localSocketHandler.js
+ * Client side of localSocketServer.js - same surface CallHandler uses from
+ * the hosted SocketHandler.js:
+ *   identifyCurrentUser(userId), _initializeSocketConnection(),
+ *   registerSocketListener({ flag, callback }), sendSocketMessage({ flag, payload, schema })
+ * Listeners receive the payload, exactly like the hosted handler.
+ * Enabled only with ?localSocket=1 or window.localSocketConfig = { enabled: true, url }
+ * Server URL: ?socketUrl=ws://host:port or localSocketConfig.url
+ * (default ws://<page host>:8090)
+ * ======================================================================== */
+
+class LocalSocketHandler {
+  static _url = null;
+  static _userId = null;
+  static _socket = null;
+  static _listeners = new Map(); // flag -> Set(callback)
+  static _outbox = []; // messages sent before the socket opened
+  static _reconnectAttempts = 0;
+  static _reconnectTimer = null;
+  static _reconnectPolicy = { baseDelayMs: 1000, maxDelayMs: 10000 };
+
+  static identifyCurrentUser(userId) {
+    this._userId = String(userId);
+    console.log("[LocalSocketHandler] Current user:", this._userId);
+  }
+
+  /* ====================================================================
+   * _initializeSocketConnection() - connect (and keep reconnecting)
+   * ==================================================================== */
+  static _initializeSocketConnection() {
+    if (!this._userId) {
+      console.warn("[LocalSocketHandler] identifyCurrentUser() must be called first");
+      return;
+    }
+
+    clearTimeout(this._reconnectTimer);
+    if (this._socket) {
+      this._socket.onclose = null;
+      this._socket.close();
+    }
+
+    const url = `${this._url}/?userId=${encodeURIComponent(this._userId)}`;
+    console.log("[LocalSocketHandler] Connecting", url);
+    const socket = new WebSocket(url);
+    this._socket = socket;
+
+    socket.onopen = () => {
+      this._reconnectAttempts = 0;
+      console.log("[LocalSocketHandler] Connected as", this._userId);
+      if (typeof DebugLogger !== "undefined") {
+        DebugLogger.addLog("initialize", "NOTICE", "LocalSocketHandler", `Local socket connected (${this._userId})`);
+      }
+      const queued = this._outbox.splice(0);
+      queued.forEach((message) => socket.send(message));
+    };
+
+    socket.onmessage = (event) => this._handleMessage(event.data);
+
+    socket.onerror = (event) => {
+      console.warn("[LocalSocketHandler] Socket error", event);
+    };
+
+    socket.onclose = () => {
+      this._socket = null;
+      const delay = Math.min(
+        this._reconnectPolicy.baseDelayMs * Math.pow(2, this._reconnectAttempts),
+        this._reconnectPolicy.maxDelayMs
+      );
+      this._reconnectAttempts += 1;
+      console.warn(`[LocalSocketHandler] Disconnected - retrying in ${delay}ms`);
+      this._reconnectTimer = setTimeout(() => this._initializeSocketConnection(), delay);
+    };
+  }
+
+  static registerSocketListener({ flag, callback }) {
+    if (!flag || typeof callback !== "function") {
+      console.warn("[LocalSocketHandler] registerSocketListener needs { flag, callback }");
+      return;
+    }
+    if (!this._listeners.has(flag)) this._listeners.set(flag, new Set());
+    this._listeners.get(flag).add(callback);
+  }
+
+  // schema is accepted for parity with the hosted handler
+  static sendSocketMessage({ flag, payload = {}, schema = null }) {
+    const message = JSON.stringify({ flag, payload });
+    console.log("[LocalSocketHandler] send", flag, payload);
+
+    if (this._socket && this._socket.readyState === WebSocket.OPEN) {
+      this._socket.send(message);
+    } else {
+      this._outbox.push(message);
+    }
+  }
+
+  static _handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn("[LocalSocketHandler] Dropped non-JSON message", data);
+      return;
+    }
+
+    const listeners = this._listeners.get(message.flag);
+    console.log("[LocalSocketHandler] receive", message.flag, { from: message.from, listeners: listeners?.size || 0 });
+    listeners?.forEach((callback) => {
+      try {
+        callback(message.payload);
+      } catch (error) {
+        console.error(`[LocalSocketHandler] Listener for ${message.flag} threw:`, error);
+      }
+    });
+  }
+
+  /* ====================================================================
+   * install() - take over SocketHandler
+   * The hosted script may declare SocketHandler as a class binding, so its
+   * methods are replaced in place rather than re-assigning the global
+   * ==================================================================== */
+  static install() {
+    if (typeof SocketHandler === "undefined") {
+      window.SocketHandler = this;
+    } else {
+      ["identifyCurrentUser", "_initializeSocketConnection", "registerSocketListener", "sendSocketMessage"].forEach(
+        (method) => {
+          SocketHandler[method] = this[method].bind(this);
+        }
+      );
+    }
+    console.log("[LocalSocketHandler] Installed - socket server:", this._url);
+  }
+}
+
+(function () {
+  const params = new URLSearchParams(window.location.search);
+  const config = window.localSocketConfig || {};
+
+  LocalSocketHandler._url =
+    params.get("socketUrl") || config.url || `ws://${window.location.hostname || "localhost"}:8090`;
+
+  if (params.get("localSocket") === "1" || config.enabled) {
+    LocalSocketHandler.install();
+  } else if (typeof SocketHandler === "undefined") {
+    console.warn("[LocalSocketHandler] Hosted SocketHandler not loaded - add ?localSocket=1 to use the local socket server");
+  }
+})();
+
+window.LocalSocketHandler = LocalSocketHandler;
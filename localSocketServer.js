@@ -0,0 +1,215 @@
+/* ========================================================================
+ * localSocketServer.js
+ * Local stand-in for the playground.codelinden.com socket service.
+ * Plain Node (no dependencies):   node localSocketServer.js [port]
+ * - Clients connect to ws://localhost:<port>/?userId=<id>
+ * - Client -> server: { flag, payload }
+ * - Server -> client: { flag, payload, from }
+ * Routing matches the hosted service:
+ *   payload.to set -> every socket of that user (all their tabs, sender included)
+ *   no payload.to  -> broadcast to every other socket (grace:* etc.)
+ * Pair with localSocketHandler.js in the page (?localSocket=1).
+ * ======================================================================== */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8090);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+// userId -> Set(client)
+const usersById = new Map();
+const clients = new Set();
+
+function log(...args) {
+  console.log(`[localSocketServer] ${new Date().toISOString()}`, ...args);
+}
+
+/* ====================================================================
+ * Frame encode / decode (RFC 6455, text + control frames)
+ * ==================================================================== */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } or null when more bytes are needed
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += maskLength;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+
+  return { frame: { fin, opcode, payload }, rest: buffer.subarray(offset + length) };
+}
+
+/* ====================================================================
+ * Client lifecycle
+ * ==================================================================== */
+function attachClient(socket, userId) {
+  const client = { socket, userId, buffer: Buffer.alloc(0), fragments: [] };
+  clients.add(client);
+  if (!usersById.has(userId)) usersById.set(userId, new Set());
+  usersById.get(userId).add(client);
+  log(`connected userId=${userId} (${clients.size} socket(s))`);
+
+  socket.on("data", (chunk) => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    let decoded;
+    while ((decoded = decodeFrame(client.buffer))) {
+      client.buffer = decoded.rest;
+      handleFrame(client, decoded.frame);
+    }
+  });
+
+  socket.on("close", () => detachClient(client));
+  socket.on("error", (error) => {
+    log(`socket error userId=${userId}:`, error.message);
+    detachClient(client);
+  });
+}
+
+function detachClient(client) {
+  if (!clients.delete(client)) return;
+  const sockets = usersById.get(client.userId);
+  sockets?.delete(client);
+  if (sockets && sockets.size === 0) usersById.delete(client.userId);
+  log(`disconnected userId=${client.userId} (${clients.size} socket(s))`);
+}
+
+function handleFrame(client, { fin, opcode, payload }) {
+  switch (opcode) {
+    case OPCODES.TEXT:
+    case OPCODES.CONTINUATION:
+      client.fragments.push(payload);
+      if (fin) {
+        const text = Buffer.concat(client.fragments).toString("utf8");
+        client.fragments = [];
+        handleMessage(client, text);
+      }
+      break;
+    case OPCODES.PING:
+      client.socket.write(encodeFrame(OPCODES.PONG, payload));
+      break;
+    case OPCODES.CLOSE:
+      client.socket.end(encodeFrame(OPCODES.CLOSE));
+      detachClient(client);
+      break;
+    default:
+      // Binary / pong - not used by the app
+      break;
+  }
+}
+
+/* ====================================================================
+ * Routing - same rules as the hosted service
+ * ==================================================================== */
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    log(`dropped non-JSON message from ${client.userId}`);
+    return;
+  }
+
+  const { flag, payload = {} } = message;
+  if (!flag) {
+    log(`dropped message without flag from ${client.userId}`);
+    return;
+  }
+
+  const outgoing = encodeFrame(
+    OPCODES.TEXT,
+    Buffer.from(JSON.stringify({ flag, payload, from: client.userId }), "utf8")
+  );
+
+  let recipients;
+  if (payload.to) {
+    recipients = Array.from(usersById.get(String(payload.to)) || []);
+    if (recipients.length === 0) {
+      log(`${flag} from ${client.userId} -> ${payload.to}: user not connected`);
+      return;
+    }
+  } else {
+    recipients = Array.from(clients).filter((other) => other !== client);
+  }
+
+  recipients.forEach((recipient) => recipient.socket.write(outgoing));
+  log(`${flag} from ${client.userId} -> ${payload.to || "broadcast"} (${recipients.length} socket(s))`);
+}
+
+/* ====================================================================
+ * HTTP server + upgrade handshake
+ * ==================================================================== */
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      service: "localSocketServer",
+      sockets: clients.size,
+      users: Array.from(usersById.keys()),
+    })
+  );
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  const userId = new URL(req.url, `http://${req.headers.host}`).searchParams.get("userId");
+
+  if (!key || !userId) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  attachClient(socket, userId);
+});
+
+server.listen(PORT, () => {
+  log(`listening on ws://localhost:${PORT}/?userId=<id>`);
+});
@@ -0,0 +1,376 @@
+// Recording Handler - Local call recording with MediaRecorder
+// Records our own tile ("self") or a composited view of every visible tile ("composite")
+// Video comes from the elements coreChime binds, remote audio from #meeting-audio
+
+(function() {
+  console.log('[recordingHandler] ⏺️ Initializing recording system...');
+
+  const CANVAS_WIDTH = 1280;
+  const CANVAS_HEIGHT = 720;
+  const CANVAS_FPS = 30;
+  const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+  ];
+
+  // Active recording session (null when idle)
+  let session = null;
+
+  function pickMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  function getLocalAttendeeId() {
+    return typeof coreChime !== 'undefined' ? coreChime.getLocalIdentifiers().attendeeId : null;
+  }
+
+  // Visible, playing video elements on the stage (participants + screen share)
+  function getVisibleVideos() {
+    return Array.from(document.querySelectorAll('#video-containers video')).filter((video) => {
+      const container = video.closest('.tile');
+      return video.srcObject && video.videoWidth > 0 && !(container && container.classList.contains('hidden'));
+    });
+  }
+
+  // Draws every visible tile into a grid on the canvas
+  function drawComposite(ctx) {
+    const videos = getVisibleVideos();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    if (videos.length === 0) return;
+
+    const cols = Math.ceil(Math.sqrt(videos.length));
+    const rows = Math.ceil(videos.length / cols);
+    const cellW = CANVAS_WIDTH / cols;
+    const cellH = CANVAS_HEIGHT / rows;
+
+    videos.forEach((video, i) => {
+      // Letterbox each tile inside its cell
+      const scale = Math.min(cellW / video.videoWidth, cellH / video.videoHeight);
+      const w = video.videoWidth * scale;
+      const h = video.videoHeight * scale;
+      const x = (i % cols) * cellW + (cellW - w) / 2;
+      const y = Math.floor(i / cols) * cellH + (cellH - h) / 2;
+      try {
+        ctx.drawImage(video, x, y, w, h);
+      } catch (e) {
+        // frame not ready yet
+      }
+    });
+  }
+
+  async function getMicrophoneStream() {
+    const preferredMic = (typeof CamMicPermissionsUtility !== 'undefined' && CamMicPermissionsUtility.getPreferredDevice)
+      ? CamMicPermissionsUtility.getPreferredDevice('microphone')
+      : null;
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: preferredMic ? { deviceId: { exact: preferredMic } } : true,
+        video: false,
+      });
+    } catch (e) {
+      console.warn('[recordingHandler] ⚠️ Microphone not available for recording:', e);
+      return null;
+    }
+  }
+
+  // Mixes our mic (+ remote meeting audio in composite mode) into one track
+  async function buildAudioTrack(mode, cleanup) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+
+    const audioCtx = new AudioCtx();
+    const destination = audioCtx.createMediaStreamDestination();
+    cleanup.push(() => audioCtx.close());
+
+    const micStream = await getMicrophoneStream();
+    if (micStream) {
+      audioCtx.createMediaStreamSource(micStream).connect(destination);
+      cleanup.push(() => micStream.getTracks().forEach((t) => t.stop()));
+    }
+
+    if (mode === 'composite') {
+      const meetingAudio = document.getElementById('meeting-audio');
+      if (meetingAudio && meetingAudio.srcObject && meetingAudio.srcObject.getAudioTracks().length > 0) {
+        audioCtx.createMediaStreamSource(meetingAudio.srcObject).connect(destination);
+      } else {
+        console.warn('[recordingHandler] ⚠️ meeting-audio has no stream - remote audio will be missing');
+      }
+    }
+
+    return destination.stream.getAudioTracks()[0] || null;
+  }
+
+  function buildVideoTrack(mode, cleanup) {
+    if (mode === 'self') {
+      const localId = getLocalAttendeeId();
+      const video = localId ? document.querySelector(`video[data-attendee-id="${localId}"]`) : null;
+      const track = video && video.srcObject ? video.srcObject.getVideoTracks()[0] : null;
+      // Clone so stopping the recording never touches the live camera track
+      return track ? track.clone() : null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    // setInterval instead of rAF so drawing continues in a background tab
+    const drawTimer = setInterval(() => drawComposite(ctx), 1000 / CANVAS_FPS);
+    cleanup.push(() => clearInterval(drawTimer));
+    return canvas.captureStream(CANVAS_FPS).getVideoTracks()[0] || null;
+  }
+
+  function formatElapsed(ms) {
+    const total = Math.floor(ms / 1000);
+    const m = String(Math.floor(total / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${m}:${s}`;
+  }
+
+  // Recording indicator (recorder side)
+  function showIndicator(startedAt) {
+    let indicator = document.getElementById('recording-indicator');
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.id = 'recording-indicator';
+      indicator.style.cssText = `
+        position: fixed;
+        top: 16px;
+        left: 16px;
+        z-index: 3200;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 12px;
+        border-radius: 9999px;
+        background: rgba(0, 0, 0, 0.7);
+        color: #fff;
+        font-size: 13px;
+        font-family: Poppins, sans-serif;
+        pointer-events: none;
+      `;
+      document.body.appendChild(indicator);
+    }
+
+    const render = () => {
+      indicator.innerHTML = `<span style="width:10px;height:10px;border-radius:50%;background:#ef4444;display:inline-block;"></span> REC ${formatElapsed(Date.now() - startedAt)}`;
+    };
+    render();
+    return setInterval(render, 1000);
+  }
+
+  function hideIndicator() {
+    document.getElementById('recording-indicator')?.remove();
+  }
+
+  function downloadRecording(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `call-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Keep the URL alive long enough for the download to start
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return url;
+  }
+
+  function notifyRemote(active, mode) {
+    if (window.chimeHandler?.handleDataSend) {
+      window.chimeHandler.handleDataSend('recording', {
+        active,
+        mode,
+        attendeeId: getLocalAttendeeId(),
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  // Start recording: mode = 'self' | 'composite'
+  async function startRecording(mode = 'self') {
+    if (session) {
+      console.warn('[recordingHandler] Already recording');
+      return false;
+    }
+
+    if (window.mockCallData && !window.mockCallData.currentUser?.isCreator) {
+      console.warn('[recordingHandler] ❌ Only creators can record calls');
+      DebugLogger.addLog('connected', 'CRITICAL', 'recordingHandler.start', 'Recording is only available to creators');
+      return false;
+    }
+
+    if (typeof coreChime === 'undefined' || !coreChime._audioVideo) {
+      console.warn('[recordingHandler] ❌ Not in a call');
+      return false;
+    }
+
+    const mimeType = pickMimeType();
+    if (!mimeType) {
+      DebugLogger.addLog('connected', 'CRITICAL', 'recordingHandler.start', 'MediaRecorder WebM not supported in this browser');
+      alert('❌ Recording is not supported in this browser.');
+      return false;
+    }
+
+    const cleanup = [];
+    const videoTrack = buildVideoTrack(mode, cleanup);
+    if (!videoTrack) {
+      cleanup.forEach((fn) => fn());
+      DebugLogger.addLog('connected', 'CRITICAL', 'recordingHandler.start', 'No local video to record - turn your camera on first');
+      alert('❌ Turn your camera on before recording your side.');
+      return false;
+    }
+    cleanup.push(() => videoTrack.stop());
+
+    let recorder;
+    try {
+      const audioTrack = await buildAudioTrack(mode, cleanup);
+      const stream = new MediaStream(audioTrack ? [videoTrack, audioTrack] : [videoTrack]);
+      recorder = new MediaRecorder(stream, { mimeType });
+    } catch (error) {
+      // Canvas loop / audio graph are already running - release them before reporting
+      cleanup.forEach((fn) => fn());
+      throw error;
+    }
+
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      const blob = new Blob(chunks, { type: 'video/webm' });
+      const url = downloadRecording(blob);
+      console.log(`[recordingHandler] 💾 Recording saved (${Math.round(blob.size / 1024)} KB)`);
+      DebugLogger.addLog('connected', 'NOTICE', 'recordingHandler.stop', 'Recording saved', {
+        mode,
+        sizeKb: Math.round(blob.size / 1024),
+        duration: formatElapsed(Date.now() - startedAt),
+      });
+      window.dispatchEvent(new CustomEvent('recordingSaved', { detail: { blob, url, mode } }));
+    };
+
+    const startedAt = Date.now();
+    recorder.start(1000); // 1s timeslices so a crash loses at most a second
+    const indicatorTimer = showIndicator(startedAt);
+    cleanup.push(() => clearInterval(indicatorTimer));
+
+    session = { recorder, mode, startedAt, cleanup };
+
+    notifyRemote(true, mode);
+    DebugLogger.addLog('connected', 'NOTICE', 'recordingHandler.start', `Recording started (${mode})`);
+    console.log('[recordingHandler] ⏺️ Recording started:', mode, mimeType);
+    return true;
+  }
+
+  function stopRecording() {
+    if (!session) return false;
+
+    const { recorder, mode, cleanup } = session;
+    session = null;
+
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+    // Let the recorder flush its last chunk before tracks go away
+    setTimeout(() => cleanup.forEach((fn) => fn()), 0);
+    hideIndicator();
+
+    notifyRemote(false, mode);
+    console.log('[recordingHandler] ⏹️ Recording stopped');
+    return true;
+  }
+
+  // Consent banner (remote side) - shown while the other participant records
+  function showConsentBanner({ mode, sender }) {
+    let banner = document.getElementById('recording-consent-banner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'recording-consent-banner';
+      banner.style.cssText = `
+        position: fixed;
+        top: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 3200;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 16px;
+        border-radius: 12px;
+        background: rgba(12, 17, 29, 0.9);
+        color: #fff;
+        font-size: 14px;
+        font-family: Poppins, sans-serif;
+      `;
+      document.body.appendChild(banner);
+    }
+
+    const what = mode === 'composite' ? 'this call' : 'their side of this call';
+    banner.innerHTML = `
+      <span><span style="color:#ef4444;">●</span> ${escapeHtml(sender)} is recording ${what}.</span>
+      <button type="button" data-recording-consent="accept" style="padding:4px 12px;border-radius:9999px;background:#fff;color:#0C111D;">OK</button>
+      <button type="button" data-recording-consent="leave" style="padding:4px 12px;border-radius:9999px;background:#ef4444;color:#fff;">Leave call</button>
+    `;
+
+    banner.querySelector('[data-recording-consent="accept"]').addEventListener('click', () => {
+      DebugLogger.addLog('connected', 'NOTICE', 'recordingHandler.consent', 'Recording consent accepted');
+      banner.style.display = 'none';
+    });
+    banner.querySelector('[data-recording-consent="leave"]').addEventListener('click', () => {
+      DebugLogger.addLog('connected', 'NOTICE', 'recordingHandler.consent', 'Left call instead of consenting to recording');
+      hideConsentBanner();
+      window.chimeHandler?.handleEnd();
+    });
+    banner.style.display = 'flex';
+  }
+
+  function hideConsentBanner() {
+    document.getElementById('recording-consent-banner')?.remove();
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  // Local triggers (debug panel / future control button)
+  window.addEventListener('startRecording', (e) => {
+    startRecording(e.detail?.mode || 'self').catch((error) => {
+      // MediaRecorder / AudioContext throw on unsupported formats or missing permission
+      console.error('[recordingHandler] Could not start recording:', error);
+      DebugLogger.addLog('connected', 'CRITICAL', 'recordingHandler.start', `Could not start recording: ${error.message}`);
+    });
+  });
+  window.addEventListener('stopRecording', () => {
+    stopRecording();
+  });
+
+  // Incoming recording state from chimeHandler
+  window.addEventListener('receiveRecordingState', (e) => {
+    const { active, mode, sender } = e.detail;
+    console.log('[recordingHandler] 📥 Remote recording state from', sender, ':', active);
+    if (active) {
+      showConsentBanner({ mode, sender });
+    } else {
+      hideConsentBanner();
+    }
+  });
+
+  // Call is over - finalize the file and clear any banner
+  window.addEventListener('coreChime:disconnected', () => {
+    stopRecording();
+    hideConsentBanner();
+  });
+
+  // Export to global for direct use
+  window.recordingHandler = {
+    start: startRecording,
+    stop: stopRecording,
+    isRecording: () => !!session,
+  };
+
+  console.log('[recordingHandler] ✅ Recording system initialized');
+})();
@@ -30,11 +30,12 @@ const ConnectedPreJoin = defineComponent({
             <div class="flex w-full top-2 absolute z-30 lg:hidden flex-col">
               <span class="text-white text-center text-sm font-medium block lg:hidden" data-call-type-text=""> [[mode_text]] [[userName]] </span>
               <div class="flex justify-center gap-2">
-                <span class="text-white text-xs font-medium" data-meeting-time="">November 5, 2025</span>
+                <span class="text-white text-xs font-medium" data-meeting-time=""></span>
                 <div class=" p-1 font-medium text-gray-700 hidden" style="display: none;">Timer: <span data-timer="">00:00</span></div>
-                <div class="flex items-center gap-1 px-[8px] justify-center rounded-pill bg-[#5549FF] h-[18px]" data-status-indicator="">
+                <span class="text-white text-xs font-medium" data-earnings="" style="display: none;"></span>
+                <div class="flex items-center gap-1 px-[8px] justify-center rounded-pill bg-[#5549FF] h-[18px]" data-status-indicator="" style="display: none;">
                   <div class="w-2 h-2 rounded-full bg-white" data-status-dot=""></div>
-                  <span class="text-white text-xs font-medium" data-status-text="">in 5 min</span>
+                  <span class="text-white text-xs font-medium" data-status-text=""></span>
                 </div>
               </div>
             </div>
@@ -66,11 +67,12 @@ const ConnectedPreJoin = defineComponent({
                     </svg>
                   </div>
                   <div class="flex xl:flex-row flex-col xl:items-center items-start gap-2 mt-1">
-                    <span class="text-white text-base font-medium" data-meeting-time="">November 5, 2025</span>
+                    <span class="text-white text-base font-medium" data-meeting-time=""></span>
                     <div class=" p-1 font-medium text-gray-700 hidden" style="display: none;">Timer: <span data-timer="">00:00</span></div>
-                    <div class="flex items-center gap-1 px-1.5 justify-center rounded-pill bg-[#5549FF] w-[75px] h-[18px]" data-status-indicator="">
+                    <span class="text-white text-base font-medium" data-earnings="" style="display: none;"></span>
+                    <div class="flex items-center gap-1 px-1.5 justify-center rounded-pill bg-[#5549FF] w-[75px] h-[18px]" data-status-indicator="" style="display: none;">
                       <div class="w-2 h-2 rounded-full bg-white" data-status-dot=""></div>
-                      <span class="text-white text-xs font-medium" data-status-text="">in 5 min</span>
+                      <span class="text-white text-xs font-medium" data-status-text=""></span>
                     </div>
                   </div>
                 </div>
@@ -200,9 +200,92 @@ const GrantPermissions = defineComponent({
   `,
 });
 
+// receipt - CallMeter summary (chime-ui::receipt), null when the call was never metered
 const Ended = defineComponent({
   name: "Ended",
-  template: `<p>Ended/Cancelled</p>`,
+  props: {
+    receipt: { type: Object, default: null },
+    survey: { type: Object, default: null }, // { callId, mediaType, issueTags: [{ id, label }] }
+  },
+  data() {
+    return { ratings: { call: 0, audio: 0, video: 0 }, issues: [], comment: "", submitted: false };
+  },
+  computed: {
+    ratingRows() {
+      const rows = [
+        { key: "call", label: "Call" },
+        { key: "audio", label: "Audio quality" },
+        { key: "video", label: "Video quality" },
+      ];
+      return this.survey?.mediaType === "audio" ? rows.filter((row) => row.key !== "video") : rows;
+    },
+  },
+  watch: {
+    "survey.callId"() {
+      Object.assign(this, { ratings: { call: 0, audio: 0, video: 0 }, issues: [], comment: "", submitted: false });
+    },
+  },
+  methods: {
+    toggleIssue(id) {
+      this.issues = this.issues.includes(id) ? this.issues.filter((issue) => issue !== id) : [...this.issues, id];
+    },
+    submitSurvey() {
+      CallFeedback.submit({ ratings: this.ratings, issues: this.issues, comment: this.comment });
+      this.submitted = true;
+    },
+    skipSurvey() {
+      CallFeedback.skip();
+    },
+    money(cents) {
+      return window.CallMeter ? CallMeter.formatMoney(cents, this.receipt.currency) : (cents / 100).toFixed(2);
+    },
+    clock(seconds) {
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    },
+  },
+  template: `
+    <div v-if="receipt || survey"
+      class="w-full h-screen flex flex-col items-center justify-center gap-3 bg-[rgba(12,17,29,0.10)] backdrop-blur-[5px]">
+      <div v-if="receipt" data-call-receipt class="w-[360px] max-w-[calc(100vw-2rem)] flex flex-col gap-2 p-4 rounded-[0.9375rem] bg-[#0C111DE5] text-white text-sm">
+        <span class="text-base font-medium">Call with {{ receipt.peerName }} ended</span>
+        <div class="flex justify-between"><span class="text-[#98A2B3]">Duration</span><span>{{ clock(receipt.durationSeconds) }}</span></div>
+        <div class="flex justify-between"><span class="text-[#98A2B3]">Billable time</span><span>{{ clock(receipt.billableSeconds) }}</span></div>
+        <div v-if="receipt.graceSeconds" class="flex justify-between"><span class="text-[#98A2B3]">Grace (not billed)</span><span>{{ clock(receipt.graceSeconds) }}</span></div>
+        <div class="flex justify-between"><span class="text-[#98A2B3]">Minutes billed</span><span>{{ receipt.billedMinutes }} × {{ money(receipt.rateCents) }}</span></div>
+        <div class="flex justify-between pt-2 border-t border-white/10 font-medium">
+          <span>{{ receipt.role === 'creator' ? 'Earned' : 'Charged' }}</span>
+          <span data-receipt-total>{{ money(receipt.amountCents) }}</span>
+        </div>
+      </div>
+      <div v-if="survey" data-call-survey class="w-[360px] max-w-[calc(100vw-2rem)] flex flex-col gap-2 p-4 rounded-[0.9375rem] bg-[#0C111DE5] text-white text-sm">
+        <template v-if="!submitted">
+          <span class="text-base font-medium">How was your call?</span>
+          <div v-for="row in ratingRows" :key="row.key" class="flex justify-between items-center">
+            <span class="text-[#98A2B3]">{{ row.label }}</span>
+            <span class="flex gap-1">
+              <button v-for="star in 5" :key="star" type="button" @click="ratings[row.key] = star"
+                :class="star <= ratings[row.key] ? 'text-[#FFED29]' : 'text-white/30'" :aria-label="star + ' star'">★</button>
+            </span>
+          </div>
+          <span class="text-[#98A2B3]">Anything go wrong?</span>
+          <div class="flex flex-wrap gap-1">
+            <button v-for="tag in survey.issueTags" :key="tag.id" type="button" @click="toggleIssue(tag.id)"
+              class="px-2 py-1 rounded-full text-xs cursor-pointer"
+              :class="issues.includes(tag.id) ? 'bg-[#FF4405] text-white' : 'bg-white/10 text-white'">{{ tag.label }}</button>
+          </div>
+          <textarea v-model="comment" maxlength="1000" rows="3" placeholder="Tell us more (optional)"
+            class="px-2 py-1 rounded bg-white/10 text-sm text-white outline-none resize-none"></textarea>
+          <div class="flex gap-2">
+            <button type="button" :disabled="!ratings.call" @click="submitSurvey()"
+              class="flex-1 h-9 rounded bg-[#07F468] text-sm font-medium text-black cursor-pointer disabled:opacity-50">Send feedback</button>
+            <button type="button" @click="skipSurvey()" class="flex-1 h-9 rounded bg-white/10 text-sm text-white cursor-pointer">Skip</button>
+          </div>
+        </template>
+        <span v-else data-survey-thanks class="text-base font-medium">Thanks for your feedback!</span>
+      </div>
+    </div>
+    <p v-else>Ended/Cancelled</p>
+  `,
 });
 
 // Export to global
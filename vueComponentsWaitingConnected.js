@@ -68,10 +68,10 @@ const WaitingConnected = defineComponent({
               <div class="flex lg:hidden flex-col">
                 <span class="text-white text-sm font-medium block text-center lg:hidden" data-call-type-text="">[[mode_text]] [[userName]]</span>
                 <div class="flex items-center gap-2">
-                  <span class="text-[#FFFFFFB2] text-xs font-medium" data-meeting-time="">9:00pm-9:15pm</span>
-                  <div class="flex items-center gap-1 px-2 justify-center rounded-pill bg-[#5549FF]  h-[18px]" data-status-indicator="">
+                  <span class="text-[#FFFFFFB2] text-xs font-medium" data-meeting-time=""></span>
+                  <div class="flex items-center gap-1 px-2 justify-center rounded-pill bg-[#5549FF]  h-[18px]" data-status-indicator="" style="display: none;">
                     <div class="w-2 h-2 rounded-full bg-white" data-status-dot=""></div>
-                    <span class="text-white text-xs font-medium" data-status-text="">in 5 min</span>
+                    <span class="text-white text-xs font-medium" data-status-text=""></span>
                   </div>
                 </div>
               </div>
@@ -99,10 +99,10 @@ const WaitingConnected = defineComponent({
                     </svg>
                   </div>
                   <div class="flex xl:flex-row items-center gap-2 h-[30px]">
-                    <span class="lg:flex hidden text-white text-base font-medium" data-meeting-time="">9:00pm-9:15pm</span>
-                    <div class="lg:flex hidden items-center gap-1 px-2 justify-center rounded-pill bg-[#5549FF]  h-[18px]p" data-status-indicator="">
+                    <span class="lg:flex hidden text-white text-base font-medium" data-meeting-time=""></span>
+                    <div class="lg:flex hidden items-center gap-1 px-2 justify-center rounded-pill bg-[#5549FF]  h-[18px]p" data-status-indicator="" style="display: none;">
                       <div class="lg:flex hidden w-2 h-2 rounded-full bg-white" data-status-dot=""></div>
-                      <span class="text-white text-xs font-medium" data-status-text="">in 5 min</span>
+                      <span class="text-white text-xs font-medium" data-status-text=""></span>
                     </div>
 
                     <!-- Main control buttons -->